@@ -0,0 +1,7 @@
+// Unit tests for the pure modules in src/utils - no browser, no server
+export default {
+  testDir: './test/unit',
+  testMatch: /.*\.spec\.js/,
+  outputDir: './test/unit/artifacts/',
+  reporter: [['list']],
+};
@@ -1,7 +1,18 @@
-import React, { useState, useEffect, useCallback } from "react";
-import { getColumns, getRows } from "../utils/hypercubeUtils";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  getColumns,
+  getRows,
+  getHyperCubeSize,
+  fetchHyperCubeRows,
+} from "../utils/hypercubeUtils";
 import { getPagedRows } from "../utils/paginationUtils";
-import { sortRows } from "../utils/sortUtils";
+import {
+  getEngineSortState,
+  buildSortPatches,
+  buildResetSortPatches,
+  applyEngineSort,
+  sortRowsByValue,
+} from "../utils/sortUtils";
 import {
   handleCellClick,
   applyBatchSelections,
@@ -16,13 +27,39 @@ import {
   isColumnSelectable,
   getSelectionSummary,
 } from "../utils/selectionUtils";
-import { saveWritebackData, testSaveConnection } from "../utils/saveService";
-import { loadWritebackData, testReadConnection } from "../utils/readService";
+import {
+  saveWritebackData,
+  previewWritebackData,
+  testDatabaseConnection,
+  getUserIdentityDetails,
+  getConsistentAppId,
+} from "../utils/saveService";
+import {
+  loadWritebackRecords,
+  mergeWritebackWithTable,
+  loadCellHistory,
+  listSavePoints,
+  toStoredTimestamp,
+  testReadConnection,
+} from "../utils/readService";
+import {
+  createEditStore,
+  setEdit,
+  getEdit,
+  removeEdit,
+  pickRows,
+  omitRows,
+  mergeEditStores,
+  listEdits,
+  countEdits,
+  rekeyEditStore,
+  setRowVersion,
+  withStoredRows,
+} from "../utils/editStore";
 import {
   getKeyDimensionsConfig,
   getActiveKeyDimensions,
   generateRowKey,
-  createEnhancedRowId,
   validateKeyUniqueness,
   isKeyDimension,
   getKeyDimensionsSummary,
@@ -33,6 +70,7 @@ import {
   getEnhancedRows,
   isWritebackColumnIndex,
   getWritebackColumnName,
+  getWritebackColumns,
   hasWritebackColumns,
   getWritebackColumnConfig,
   shouldShowModeButtons,
@@ -45,6 +83,37 @@ import {
 
 // REAL USER PRESENCE INTEGRATION
 import UserPresenceService from "../utils/userPresenceService";
+import SaveQueue from "../utils/saveQueue";
+import {
+  registerConnectionTarget,
+  subscribeConnectionTests,
+  getConnectionTestResult,
+  formatConnectionTestResult,
+} from "../utils/connectionTest";
+import {
+  getRequestDiagnostics,
+  subscribeRequestDiagnostics,
+  isAppAuthor,
+} from "../utils/connectionDiagnostics";
+import { getResolvedEndpoints } from "../utils/storageAdapters";
+import {
+  registerSchemaLayout,
+  checkSchemaDrift,
+  formatSchemaDrift,
+  getSchemaSignature,
+} from "../utils/tableSchema";
+import { createLogger } from "../utils/logger";
+import { getDisplayTimeZone, formatTimestamp } from "../utils/timeUtils";
+import {
+  isEmptyValue,
+  getCoercionError,
+  formatDisplayValue,
+} from "../utils/valueCoercion";
+
+const log = createLogger("table");
+const readLog = createLogger("read");
+const presenceLog = createLogger("presence");
+const selectionLog = createLogger("selection");
 
 /**
  * WritebackTable: Dynamic Columns + Key Dimensions + Real Active Users Support
@@ -57,8 +126,9 @@ export default function WritebackTable({
   pageSize = 100,
 }) {
   const [page, setPage] = useState(0);
-  const [sortBy, setSortBy] = useState(null);
-  const [sortDir, setSortDir] = useState(true);
+  // Base columns sort in the engine (see getEngineSortState); writeback
+  // columns only exist here, so they sort locally over the loaded rows
+  const [writebackSort, setWritebackSort] = useState(null);
   const [selectedRows, setSelectedRows] = useState(new Set());
   const [selectionMode, setSelectionMode] = useState(false);
 
@@ -68,11 +138,22 @@ export default function WritebackTable({
   const [isApplyingSelection, setIsApplyingSelection] = useState(false);
 
   // Writeback states
-  const [editedData, setEditedData] = useState({});
+  // Pending edits and last loaded/saved values, both keyed by row key
+  const [editedData, setEditedData] = useState(createEditStore());
+  const [savedData, setSavedData] = useState(createEditStore());
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null);
   const [isLoadingWriteback, setIsLoadingWriteback] = useState(false);
+  // Loaded records keyed by composite key, merged again as new rows arrive
+  const writebackRecordsRef = useRef({});
+
+  // Rows fetched with getHyperCubeData beyond the layout's initial data
+  // page. Tagged with the layout they belong to so a new layout (selection,
+  // sort, property change) never shows rows from the previous one.
+  const [fetchedRows, setFetchedRows] = useState({ layout: null, rows: [] });
+  const [isFetchingRows, setIsFetchingRows] = useState(false);
+  const [rowFetchError, setRowFetchError] = useState(null);
 
   // Mode toggle state: always default to selection
   const [currentMode, setCurrentMode] = useState("selection");
@@ -87,18 +168,71 @@ export default function WritebackTable({
   const [isWebSocketConnected, setIsWebSocketConnected] = useState(false);
   const [presenceService, setPresenceService] = useState(null);
 
+  // Outbox for save batches that could not reach the storage backend
+  const [saveQueue, setSaveQueue] = useState(null);
+  const [outboxState, setOutboxState] = useState(null);
+
+  // Rows whose save lost the optimistic concurrency check, and the
+  // per-column keep/take choices made in the merge view
+  const [saveConflicts, setSaveConflicts] = useState([]);
+  const [conflictChoices, setConflictChoices] = useState({});
+
+  // Change reasons for pending edits, keyed like editedData
+  const [changeReasons, setChangeReasons] = useState(createEditStore());
+  const [showReasonDialog, setShowReasonDialog] = useState(false);
+  // Save preview (confirm before save): { loading, result, error }
+  const [savePreview, setSavePreview] = useState(null);
+
+  // Cell history panel: { rowKey, row, columnName, loading, entries, error }
+  const [historyPanel, setHistoryPanel] = useState(null);
+  const longPressTimerRef = useRef(null);
+
+  // Point-in-time view: writeback values as stored at pointInTime.asOf,
+  // read-only. null means the live view.
+  const [pointInTime, setPointInTime] = useState(null);
+  const [asOfData, setAsOfData] = useState(createEditStore());
+  const [isLoadingAsOf, setIsLoadingAsOf] = useState(false);
+  const [savePoints, setSavePoints] = useState([]);
+  const asOfRecordsRef = useRef(null);
+  const isPointInTime = pointInTime !== null;
+
+  // Last "Test connection" result from the property panel
+  const [connectionTest, setConnectionTest] = useState(null);
+
+  // Stored table columns compared with the expected ones at startup
+  const [schemaCheck, setSchemaCheck] = useState(null);
+
+  // Diagnostics drawer - authors only
+  const [canViewDiagnostics, setCanViewDiagnostics] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [requestDiagnostics, setRequestDiagnostics] = useState(
+    getRequestDiagnostics()
+  );
+  const [identityDetails, setIdentityDetails] = useState(null);
+  const [diagnosticsTests, setDiagnosticsTests] = useState(null);
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+
   // Use dynamic columns system
   const columns = getAllColumns(layout);
   const baseColumns = getBaseColumns(layout);
-  const rows = getEnhancedRows(layout);
+  const hyperCubeSize = getHyperCubeSize(layout);
+  const baseRows =
+    fetchedRows.layout === layout
+      ? [...getRows(layout), ...fetchedRows.rows]
+      : getRows(layout);
+  const baseRowsRef = useRef(baseRows);
+  baseRowsRef.current = baseRows;
+  const rows = getEnhancedRows(layout, baseRows);
+  // Total row count from the engine - rows may not all be fetched yet
+  const totalRowCount = Math.max(hyperCubeSize.rows, rows.length);
 
   // Get key dimensions configuration (use base columns for key dimensions)
   const keyDimensionsConfig = getKeyDimensionsConfig(layout);
   const activeKeyDimensions = getActiveKeyDimensions(layout, baseColumns);
   const keyDimensionsSummary = getKeyDimensionsSummary(layout, baseColumns);
 
-  // Validate key uniqueness if enabled (use base rows)
-  const baseRows = getRows(layout);
+  // Validate key uniqueness if enabled (all rows fetched so far)
   const keyValidation = validateKeyUniqueness(baseRows, layout, baseColumns);
 
   // Get dynamic writeback configuration from layout
@@ -108,6 +242,8 @@ export default function WritebackTable({
   };
   const hasActiveWriteback = shouldShowModeButtons(layout);
   const configuredColumns = writebackConfig.columns || [];
+  // Stored times are UTC; show them in this zone
+  const displayTimeZone = getDisplayTimeZone(layout);
 
   // Create a map of writeback columns for quick lookup
   const writebackColumnMap = new Map();
@@ -119,26 +255,26 @@ export default function WritebackTable({
   useEffect(() => {
     async function initializePresenceService() {
       if (app && layout) {
-        console.log('🔗 Initializing real user presence...');
+        presenceLog.debug('Initializing user presence');
         
         try {
           const service = new UserPresenceService(app, layout);
           
           // Add event listeners
           service.addEventListener('connected', (data) => {
-            console.log('✅ User presence connected:', data.user);
+            presenceLog.debug('User presence connected', { user: data.user });
             setIsWebSocketConnected(true);
           });
           
           service.addEventListener('disconnected', () => {
-            console.log('❌ User presence disconnected');
+            presenceLog.info('User presence disconnected');
             setIsWebSocketConnected(false);
             setActiveUsers([]);
             setConflicts([]);
           });
           
           service.addEventListener('usersUpdated', (data) => {
-            console.log('👥 Users updated:', data.users.length, 'users');
+            presenceLog.debug(`Users updated: ${data.users.length} users`);
             setActiveUsers(data.users);
             setConflicts(data.conflicts);
           });
@@ -147,15 +283,15 @@ export default function WritebackTable({
           const initialized = await service.initialize();
           if (initialized) {
             setPresenceService(service);
-            console.log('🎉 Real user presence active!');
+            presenceLog.debug('User presence active');
           } else {
-            console.error('Failed to initialize presence service');
+            presenceLog.error('Failed to initialize presence service');
             // Fallback to offline mode
             setIsWebSocketConnected(false);
           }
           
         } catch (error) {
-          console.error('Error initializing presence service:', error);
+          presenceLog.error('Error initializing presence service', error);
           setIsWebSocketConnected(false);
         }
       }
@@ -171,6 +307,174 @@ export default function WritebackTable({
     };
   }, [app, layout?.qInfo?.qId]);
 
+  // Persisted rows of a saved batch become saved values; returns the row
+  // keys by outcome so callers decide what happens to the failed ones
+  const applySaveResult = (batch, result) => {
+    const results = result.results || [];
+    const savedRowKeys = results
+      .filter((r) => r.success)
+      .map((r) => r.primaryKey);
+    const failedRowKeys = results
+      .filter((r) => !r.success)
+      .map((r) => r.primaryKey);
+
+    setSavedData((prev) => {
+      let next = mergeEditStores(prev, pickRows(batch, savedRowKeys));
+      results
+        .filter((r) => r.success && r.version !== null)
+        .forEach((r) => {
+          next = setRowVersion(next, r.primaryKey, r.version);
+        });
+      return next;
+    });
+
+    return { savedRowKeys, failedRowKeys };
+  };
+
+  // Collect conflict details for the conflict view. When the backend did
+  // not send the stored record, reload it from storage.
+  const recordSaveConflicts = async (batch, conflictResults) => {
+    let details = conflictResults.map((r) => ({
+      rowKey: r.primaryKey,
+      row: batch[r.primaryKey]?.row || null,
+      mine: batch[r.primaryKey]?.values || {},
+      theirs: r.currentValues,
+      currentVersion: r.currentVersion,
+    }));
+
+    if (details.some((detail) => detail.theirs === null)) {
+      try {
+        const records = await loadWritebackRecords(layoutRef.current, app);
+        writebackRecordsRef.current = records;
+
+        details = details.map((detail) => {
+          if (detail.theirs !== null || !detail.row) return detail;
+          const stored = mergeWritebackWithTable(
+            records,
+            layoutRef.current,
+            [detail.row]
+          )[detail.rowKey];
+          return {
+            ...detail,
+            theirs: stored ? stored.values : {},
+            currentVersion: stored ? stored.version : detail.currentVersion,
+          };
+        });
+      } catch (error) {
+        readLog.error("Failed to load stored values for conflicts", error);
+      }
+    }
+
+    setSaveConflicts((prev) => [
+      ...prev.filter((c) => !details.some((d) => d.rowKey === c.rowKey)),
+      ...details,
+    ]);
+  };
+
+  // A replayed batch settles like a direct save: saved rows become saved
+  // values, rejected rows pending edits again, conflicts go to the conflict
+  // view. Called through a ref so the queue always runs this render's code.
+  const handleQueuedSaveSettled = ({ entry, result }) => {
+    const { failedRowKeys } = applySaveResult(entry.editStore, result);
+    setSaveStatus({
+      success: result.success,
+      message: `Queued changes: ${result.message}`,
+      fileName: result.fileName,
+      changeCount: result.changeCount,
+      timestamp: result.timestamp,
+    });
+
+    // Rows the backend rejected become pending edits again, unless the
+    // user has edited them since
+    if (failedRowKeys.length > 0) {
+      setEditedData((prev) =>
+        mergeEditStores(pickRows(entry.editStore, failedRowKeys), prev)
+      );
+      setHasUnsavedChanges(true);
+    }
+    if (result.conflicts && result.conflicts.length > 0) {
+      return recordSaveConflicts(entry.editStore, result.conflicts);
+    }
+    return undefined;
+  };
+  const queueSettledRef = useRef(handleQueuedSaveSettled);
+  queueSettledRef.current = handleQueuedSaveSettled;
+
+  // SAVE OUTBOX - replay batches queued by this or an earlier session
+  useEffect(() => {
+    if (!layout?.qInfo?.qId) return;
+
+    const appId = getConsistentAppId(app, layout);
+    const queue = new SaveQueue(appId, layout.qInfo.qId, (batch) =>
+      saveWritebackData(batch, layoutRef.current, app)
+    );
+
+    queue.addEventListener("change", (state) => setOutboxState(state));
+    queue.addEventListener("settled", (settled) =>
+      queueSettledRef.current(settled)
+    );
+
+    queue.start();
+    setSaveQueue(queue);
+
+    return () => {
+      queue.stop();
+      setSaveQueue(null);
+    };
+  }, [app, layout?.qInfo?.qId]);
+
+  // CONNECTION TEST - let the property panel button test through this app
+  useEffect(() => {
+    const objectId = layout?.qInfo?.qId;
+    if (!objectId) return;
+
+    const unregister = registerConnectionTarget(objectId, app);
+    const unsubscribe = subscribeConnectionTests((testedId, result) => {
+      if (testedId === objectId) setConnectionTest(result);
+    });
+    setConnectionTest(getConnectionTestResult(objectId));
+
+    return () => {
+      unsubscribe();
+      unregister();
+    };
+  }, [app, layout?.qInfo?.qId]);
+
+  // TABLE SCHEMA - the DDL button builds from this layout
+  useEffect(() => {
+    const objectId = layout?.qInfo?.qId;
+    if (!objectId) return;
+    return registerSchemaLayout(objectId, layout);
+  }, [layout]);
+
+  // SCHEMA DRIFT - warn about missing or renamed columns before any save
+  const schemaSignature = getSchemaSignature(layout);
+  useEffect(() => {
+    if (!hasActiveWriteback) return;
+
+    let cancelled = false;
+    checkSchemaDrift(layoutRef.current, app).then((result) => {
+      if (!cancelled) setSchemaCheck(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [app, hasActiveWriteback, schemaSignature]);
+
+  // DIAGNOSTICS - only authors get the drawer; request stats are global
+  useEffect(() => {
+    let cancelled = false;
+    isAppAuthor(app).then((isAuthor) => {
+      if (!cancelled) setCanViewDiagnostics(isAuthor);
+    });
+
+    const unsubscribe = subscribeRequestDiagnostics(setRequestDiagnostics);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [app]);
+
   // TRACK EDITING ACTIVITY - Add tracking for editing activity
   const updateEditingActivity = useCallback((rowId, fields) => {
     if (presenceService) {
@@ -322,6 +626,144 @@ export default function WritebackTable({
     );
   };
 
+  // Save conflicts: stored value next to the user's value per row
+  const SaveConflictPanel = () => {
+    if (saveConflicts.length === 0) return null;
+
+    const formatValue = (value) =>
+      value === undefined || value === null || value === "" ? (
+        <em style={{ color: "#6c757d" }}>empty</em>
+      ) : (
+        formatDisplayValue(value)
+      );
+
+    const buttonStyle = (background) => ({
+      padding: "4px 8px",
+      background,
+      color: "white",
+      border: "none",
+      borderRadius: "3px",
+      fontSize: "11px",
+      cursor: "pointer",
+    });
+
+    return (
+      <div
+        style={{
+          background: "#fff3cd",
+          color: "#856404",
+          border: "1px solid #ffeaa7",
+          borderRadius: "4px",
+          padding: "8px 12px",
+          margin: "8px 0",
+          fontSize: "12px",
+        }}
+      >
+        <strong>
+          ⚠️ {saveConflicts.length} row
+          {saveConflicts.length !== 1 ? "s were" : " was"} changed by someone
+          else since you loaded {saveConflicts.length !== 1 ? "them" : "it"}
+        </strong>
+
+        {saveConflicts.map((conflict) => (
+          <div
+            key={conflict.rowKey}
+            style={{
+              marginTop: "8px",
+              padding: "8px",
+              background: "white",
+              border: "1px solid #ffeaa7",
+              borderRadius: "4px",
+            }}
+          >
+            <div style={{ fontWeight: "500", marginBottom: "6px" }}>
+              🔑 {conflict.rowKey}
+              {conflict.currentVersion !== null && (
+                <span style={{ color: "#6c757d", marginLeft: "8px" }}>
+                  stored version {conflict.currentVersion}
+                </span>
+              )}
+            </div>
+
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ textAlign: "left", color: "#495057" }}>
+                  <th style={{ padding: "2px 6px" }}>Column</th>
+                  <th style={{ padding: "2px 6px" }}>Stored value</th>
+                  <th style={{ padding: "2px 6px" }}>Your value</th>
+                  <th style={{ padding: "2px 6px" }}>Merge</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(conflict.mine).map((columnName) => {
+                  const choice =
+                    (conflictChoices[conflict.rowKey] || {})[columnName] ||
+                    "mine";
+                  const setChoice = (value) =>
+                    setConflictChoices((prev) => ({
+                      ...prev,
+                      [conflict.rowKey]: {
+                        ...(prev[conflict.rowKey] || {}),
+                        [columnName]: value,
+                      },
+                    }));
+
+                  return (
+                    <tr key={columnName} style={{ color: "#212529" }}>
+                      <td style={{ padding: "2px 6px" }}>{columnName}</td>
+                      <td style={{ padding: "2px 6px" }}>
+                        {conflict.theirs === null
+                          ? "Loading..."
+                          : formatValue(conflict.theirs[columnName])}
+                      </td>
+                      <td style={{ padding: "2px 6px" }}>
+                        {formatValue(conflict.mine[columnName])}
+                      </td>
+                      <td style={{ padding: "2px 6px" }}>
+                        <select
+                          value={choice}
+                          onChange={(e) => setChoice(e.target.value)}
+                          style={{ fontSize: "11px" }}
+                        >
+                          <option value="mine">Use mine</option>
+                          <option value="theirs">Use stored</option>
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div style={{ display: "flex", gap: "6px", marginTop: "6px" }}>
+              <button
+                style={buttonStyle("#28a745")}
+                onClick={() => resolveSaveConflict(conflict, "keep")}
+                title="Keep your values and save them over the stored record"
+              >
+                Keep mine
+              </button>
+              <button
+                style={buttonStyle("#dc3545")}
+                onClick={() => resolveSaveConflict(conflict, "discard")}
+                title="Drop your values and use the stored record"
+              >
+                Discard mine
+              </button>
+              <button
+                style={buttonStyle("#007acc")}
+                onClick={() => resolveSaveConflict(conflict, "merge")}
+                title="Use the per-column choices above"
+              >
+                Merge
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   // User Collaboration Side Panel Component
   const UserCollaborationPanel = ({ isOpen, onClose }) => {
     if (!isOpen) return null;
@@ -872,17 +1314,57 @@ export default function WritebackTable({
                   </span>
                 ) : hasUnsavedChanges ? (
                   <span style={{ color: "#dc3545", fontWeight: "500" }}>
-                    <strong>{Object.keys(editedData).length}</strong> unsaved
-                    change{Object.keys(editedData).length !== 1 ? "s" : ""}
+                    <strong>{countEdits(editedData)}</strong> unsaved
+                    change{countEdits(editedData) !== 1 ? "s" : ""}
                   </span>
                 ) : saveStatus?.success ? (
                   <span style={{ color: "#28a745" }}>
                     ✅ Saved to {saveStatus.fileName}
+                    {saveStatus.timestamp &&
+                      ` at ${formatTimestamp(
+                        saveStatus.timestamp,
+                        displayTimeZone,
+                        { dateStyle: undefined }
+                      )}`}
                   </span>
                 ) : (
                   <span style={{ color: "#28a745" }}>✅ All changes saved</span>
                 )}
               </span>
+
+              {saveStatus && !saveStatus.success && (
+                <span
+                  style={{ color: "#dc3545", fontSize: "11px" }}
+                  title={saveStatus.message}
+                >
+                  ⚠️ {saveStatus.message}
+                </span>
+              )}
+
+              {connectionTest && (
+                <span
+                  style={{
+                    color:
+                      connectionTest.status === "failed"
+                        ? "#dc3545"
+                        : connectionTest.status === "ok"
+                        ? "#28a745"
+                        : "#007acc",
+                    fontSize: "11px",
+                  }}
+                >
+                  🔌 {formatConnectionTestResult(connectionTest)}
+                </span>
+              )}
+
+              {schemaCheck && schemaCheck.status === "drift" && (
+                <span
+                  style={{ color: "#dc3545", fontSize: "11px" }}
+                  title="Regenerate the table DDL from the property panel or rename the database columns before saving"
+                >
+                  🧱 Table schema mismatch: {formatSchemaDrift(schemaCheck)}
+                </span>
+              )}
             </div>
           ) : currentMode === "selection" ? (
             <div>
@@ -994,8 +1476,99 @@ export default function WritebackTable({
             >
               👥 Users
             </button>
+
+            {canViewDiagnostics && (
+              <button
+                onClick={openDiagnostics}
+                style={{
+                  padding: "6px 8px",
+                  backgroundColor: showDiagnostics ? "#007acc" : "#e9ecef",
+                  color: showDiagnostics ? "white" : "#6c757d",
+                  border: "none",
+                  borderRadius: "4px",
+                  cursor: "pointer",
+                  fontSize: "11px",
+                  fontWeight: "500",
+                }}
+                title="Connection diagnostics (authors only)"
+              >
+                🩺 Diagnostics
+              </button>
+            )}
           </div>
 
+          {/* Save outbox status */}
+          {outboxState && outboxState.total > 0 && (
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+                padding: "4px 8px",
+                borderRadius: "12px",
+                fontSize: "11px",
+                fontWeight: "500",
+                backgroundColor: outboxState.failed > 0 ? "#f8d7da" : "#fff3cd",
+                color: outboxState.failed > 0 ? "#721c24" : "#856404",
+              }}
+              title={
+                outboxState.entries
+                  .map((entry) => entry.lastError)
+                  .filter(Boolean)
+                  .join("\n") || "Waiting to send"
+              }
+            >
+              {outboxState.queued > 0 && (
+                <span>📤 {outboxState.queued} queued</span>
+              )}
+              {outboxState.retrying > 0 && (
+                <span>🔁 {outboxState.retrying} retrying</span>
+              )}
+              {outboxState.failed > 0 && (
+                <span>⛔ {outboxState.failed} failed</span>
+              )}
+              <button
+                onClick={() => saveQueue && saveQueue.retryAll()}
+                style={{
+                  padding: "2px 6px",
+                  border: "none",
+                  borderRadius: "4px",
+                  backgroundColor: "#007acc",
+                  color: "white",
+                  cursor: "pointer",
+                  fontSize: "10px",
+                }}
+              >
+                Retry now
+              </button>
+              {outboxState.failed > 0 && (
+                <button
+                  onClick={() => {
+                    if (
+                      saveQueue &&
+                      window.confirm("Discard failed queued changes?")
+                    ) {
+                      outboxState.entries
+                        .filter((entry) => entry.status === "failed")
+                        .forEach((entry) => saveQueue.discard(entry.id));
+                    }
+                  }}
+                  style={{
+                    padding: "2px 6px",
+                    border: "none",
+                    borderRadius: "4px",
+                    backgroundColor: "#dc3545",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: "10px",
+                  }}
+                >
+                  Discard failed
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Existing Mode-specific Controls */}
           {currentMode === "edit" &&
             hasActiveWriteback &&
@@ -1026,7 +1599,7 @@ export default function WritebackTable({
                   {isSaving
                     ? "Saving..."
                     : hasUnsavedChanges
-                    ? `Save Changes (${Object.keys(editedData).length})`
+                    ? `Save Changes (${countEdits(editedData)})`
                     : "No Changes"}
                 </button>
 
@@ -1200,24 +1773,53 @@ export default function WritebackTable({
     hasUnsavedChanges,
   ]);
 
-  // Load existing writeback data on mount and when layout changes
+  // Place loaded writeback values and versions on rows as they arrive:
+  // after loading from storage, in a new layout's data page and in paged
+  // rows. Values saved in this session win over the loaded ones unless the
+  // records were just reloaded.
+  const mergeStoredRecords = (rowsToMerge, { replace = false } = {}) => {
+    const loadedData = mergeWritebackWithTable(
+      writebackRecordsRef.current,
+      layoutRef.current,
+      rowsToMerge
+    );
+    setSavedData((prev) =>
+      replace ? loadedData : mergeEditStores(loadedData, prev)
+    );
+
+    if (asOfRecordsRef.current) {
+      const asOfRows = mergeWritebackWithTable(
+        asOfRecordsRef.current,
+        layoutRef.current,
+        rowsToMerge
+      );
+      setAsOfData((prev) => mergeEditStores(prev, asOfRows));
+    }
+
+    return loadedData;
+  };
+
+  // Load existing writeback data on mount and when the object or its
+  // writeback setting changes
   useEffect(() => {
     async function loadExistingWritebackData() {
       if (hasActiveWriteback && layout) {
         setIsLoadingWriteback(true);
 
         try {
-          const existingData = await loadWritebackData(layout, app);
-          if (existingData && Object.keys(existingData).length > 0) {
-            setEditedData(existingData);
-            console.log(
-              `Loaded ${
-                Object.keys(existingData).length
-              } writeback values from automation`
-            );
-          }
+          writebackRecordsRef.current = await loadWritebackRecords(
+            layoutRef.current,
+            app
+          );
+
+          const existingData = mergeStoredRecords(baseRowsRef.current, {
+            replace: true,
+          });
+          readLog.debug(
+            `Loaded ${countEdits(existingData)} writeback values from storage`
+          );
         } catch (error) {
-          console.error("Failed to load existing writeback data:", error);
+          readLog.error("Failed to load existing writeback data", error);
         } finally {
           setIsLoadingWriteback(false);
         }
@@ -1227,6 +1829,139 @@ export default function WritebackTable({
     loadExistingWritebackData();
   }, [layout?.qInfo?.qId, hasActiveWriteback]);
 
+  // A new layout (selection, engine sort, reload) brings its own data page;
+  // the loaded records are merged into it without reading storage again
+  useEffect(() => {
+    if (hasActiveWriteback) {
+      mergeStoredRecords(getRows(layout));
+    }
+  }, [layout]);
+
+  // Load the point-in-time values whenever a moment is picked
+  useEffect(() => {
+    if (!pointInTime) {
+      asOfRecordsRef.current = null;
+      setAsOfData(createEditStore());
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadPointInTime() {
+      setIsLoadingAsOf(true);
+      try {
+        const records = await loadWritebackRecords(layout, app, {
+          asOf: pointInTime.asOf,
+        });
+        if (cancelled) return;
+
+        asOfRecordsRef.current = records;
+        setAsOfData(mergeWritebackWithTable(records, layout, baseRows));
+      } catch (error) {
+        readLog.error("Failed to load point-in-time data", error);
+      } finally {
+        if (!cancelled) setIsLoadingAsOf(false);
+      }
+    }
+
+    loadPointInTime();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pointInTime?.asOf, layout?.qInfo?.qId]);
+
+  // Re-map pending edits when the row key definition changes (key
+  // dimensions, strategy or columns edited in the property panel)
+  const keySignature = JSON.stringify([
+    activeKeyDimensions.map((keyDim) => keyDim.dimensionName),
+    keyDimensionsConfig.keyGenerationStrategy,
+    keyDimensionsConfig.keySeparator,
+    baseColumns,
+  ]);
+  const keySignatureRef = useRef(keySignature);
+
+  useEffect(() => {
+    if (keySignatureRef.current === keySignature) {
+      return;
+    }
+    keySignatureRef.current = keySignature;
+
+    const rekey = (store) =>
+      rekeyEditStore(store, (row) =>
+        row.length === baseColumns.length
+          ? generateRowKey(row, layout, baseColumns)
+          : null
+      );
+    setEditedData(rekey);
+    setSavedData(rekey);
+  }, [keySignature]);
+
+  // Keep page and sort valid when selections or property changes shrink
+  // the data without remounting the table
+  useEffect(() => {
+    const pageCount = Math.ceil(totalRowCount / pageSize) || 1;
+    if (page > pageCount - 1) {
+      setPage(pageCount - 1);
+    }
+    if (
+      writebackSort &&
+      !getWritebackColumns(layout).includes(writebackSort.columnName)
+    ) {
+      setWritebackSort(null);
+    }
+  }, [totalRowCount, pageSize, columns.length]);
+
+  // Fetch the rows for the current page when they are beyond what has been
+  // loaded so far. Rows are fetched contiguously, so every row before the
+  // current page is available for sorting, key validation and saving.
+  useEffect(() => {
+    const neededRows = Math.min((page + 1) * pageSize, hyperCubeSize.rows);
+    if (!model || baseRows.length >= neededRows) {
+      return;
+    }
+
+    let cancelled = false;
+
+    async function fetchMoreRows() {
+      setIsFetchingRows(true);
+      setRowFetchError(null);
+
+      try {
+        const newRows = await fetchHyperCubeRows(
+          model,
+          layout,
+          baseRows.length,
+          neededRows - baseRows.length
+        );
+        if (cancelled) return;
+
+        setFetchedRows((prev) => ({
+          layout,
+          rows: [...(prev.layout === layout ? prev.rows : []), ...newRows],
+        }));
+
+        mergeStoredRecords(newRows);
+      } catch (error) {
+        log.error("Failed to fetch hypercube rows", error);
+        if (!cancelled) {
+          setRowFetchError(error.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsFetchingRows(false);
+        }
+      }
+    }
+
+    fetchMoreRows();
+
+    return () => {
+      cancelled = true;
+      setIsFetchingRows(false);
+    };
+  }, [layout, model, page, pageSize, baseRows.length]);
+
   // ADD: Focus/blur tracking for better editing detection
   useEffect(() => {
     const handleFocus = (e) => {
@@ -1378,57 +2113,85 @@ export default function WritebackTable({
     );
   }
 
-  // Writeback functionality with enhanced row ID using key dimensions
-  const getRowId = (row, index) => {
-    return createEnhancedRowId(row, index, layout, baseColumns);
+  // Writeback functionality - rows are identified by their key dimension
+  // values only, so edits follow the row through sorting and paging
+  const getRowId = (row) => {
+    return generateRowKey(row, layout, baseColumns);
   };
 
   // MODIFIED: updateEditedData to track editing activity
-  const updateEditedData = (rowId, field, value) => {
-    const key = `${rowId}-${field}`;
-    console.log("Generated key:", key);
-    
-    setEditedData((prev) => {
-      const newData = {
-        ...prev,
-        [key]: value,
-      };
-      return newData;
-    });
+  const updateEditedData = (rowId, field, value, row) => {
+    if (isPointInTime) return;
+
+    // Snapshot the base cells so the row can be saved even if it is no
+    // longer part of the current data page
+    const baseCells = row ? row.slice(0, baseColumns.length) : null;
+
+    setEditedData((prev) => setEdit(prev, rowId, field, value, baseCells));
 
     setHasUnsavedChanges(true);
     scheduleAutoSave();
     
     // NEW: Track editing activity
-    const accountId = rowId.split('|')[0]; // Extract account ID from row ID
-    updateEditingActivity(accountId, [field]);
+    updateEditingActivity(rowId, [field]);
   };
 
+  // Values waiting in the outbox, newest batch wins
+  const queuedData = (outboxState?.entries || []).reduce(
+    (store, entry) => mergeEditStores(store, entry.editStore),
+    createEditStore()
+  );
+
   const getEditedValue = (rowId, field) => {
-    const key = `${rowId}-${field}`;
+    if (isPointInTime) {
+      // Exactly what was stored at that moment - no pending or default values
+      const storedValue = getEdit(asOfData, rowId, field);
+      return storedValue === undefined || storedValue === null
+        ? ""
+        : storedValue;
+    }
+
     const config = writebackColumnMap.get(field);
-    return editedData[key] || config?.defaultValue || "";
+    const editedValue = getEdit(editedData, rowId, field);
+    if (editedValue !== undefined) return editedValue;
+
+    const queuedValue = getEdit(queuedData, rowId, field);
+    if (queuedValue !== undefined) return queuedValue;
+
+    const savedValue = getEdit(savedData, rowId, field);
+    if (savedValue !== undefined && savedValue !== null) return savedValue;
+
+    return config?.defaultValue || "";
   };
 
   const validateField = (value, config) => {
+    if (isEmptyValue(value)) {
+      return config.required
+        ? { isValid: false, message: "This field is required" }
+        : { isValid: true };
+    }
+
+    // The value has to convert to the column type to be saved
+    const coercionError = getCoercionError(value, config.columnType);
+    if (coercionError) {
+      return { isValid: false, message: coercionError };
+    }
+
     if (!config.validation) return { isValid: true };
 
     const validation = config.validation;
-
-    if (config.required && (!value || value.trim() === "")) {
-      return { isValid: false, message: "This field is required" };
-    }
+    const text = String(value);
 
     switch (config.columnType) {
       case "text":
       case "textarea":
-        if (validation.minLength && value.length < validation.minLength) {
+        if (validation.minLength && text.length < validation.minLength) {
           return {
             isValid: false,
             message: `Minimum length is ${validation.minLength}`,
           };
         }
-        if (validation.maxLength && value.length > validation.maxLength) {
+        if (validation.maxLength && text.length > validation.maxLength) {
           return {
             isValid: false,
             message: `Maximum length is ${validation.maxLength}`,
@@ -1437,10 +2200,7 @@ export default function WritebackTable({
         break;
 
       case "number":
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) {
-          return { isValid: false, message: "Please enter a valid number" };
-        }
+        const numValue = Number(value);
         if (validation.min !== undefined && numValue < validation.min) {
           return {
             isValid: false,
@@ -1459,15 +2219,152 @@ export default function WritebackTable({
     return { isValid: true };
   };
 
-  // MODIFIED: saveAllChanges to update presence after save
-  const saveAllChanges = async () => {
-    if (!hasUnsavedChanges || Object.keys(editedData).length === 0) {
+  // Resolve a conflict: "keep" re-applies all of the user's values on top
+  // of the stored record, "discard" takes the stored record, "merge" uses
+  // the per-column choices (the user's value unless "theirs" was picked)
+  const resolveSaveConflict = (conflict, mode) => {
+    const { rowKey, row, mine, currentVersion } = conflict;
+    const theirs = conflict.theirs || {};
+    const choices = conflictChoices[rowKey] || {};
+
+    const chosen = {};
+    Object.keys(mine).forEach((columnName) => {
+      const choice =
+        mode === "merge"
+          ? choices[columnName] || "mine"
+          : mode === "keep"
+          ? "mine"
+          : "theirs";
+      if (choice === "mine") chosen[columnName] = mine[columnName];
+    });
+
+    // The stored record becomes the base the next save must expect
+    setSavedData((prev) =>
+      setRowVersion(
+        mergeEditStores(prev, {
+          [rowKey]: { row, version: currentVersion, values: theirs },
+        }),
+        rowKey,
+        currentVersion,
+        row
+      )
+    );
+    setEditedData((prev) => {
+      const next = omitRows(prev, [rowKey]);
+      if (Object.keys(chosen).length === 0) return next;
+      return {
+        ...next,
+        [rowKey]: { row, version: currentVersion, values: chosen },
+      };
+    });
+    if (Object.keys(chosen).length > 0) {
+      setHasUnsavedChanges(true);
+    }
+
+    setSaveConflicts((prev) => prev.filter((c) => c.rowKey !== rowKey));
+    setConflictChoices((prev) => {
+      const next = { ...prev };
+      delete next[rowKey];
+      return next;
+    });
+  };
+
+  // Send the stored version the edits were based on with each row, plus
+  // the change reasons for the change log
+  const buildSaveBatch = (store, reasons) => {
+    const batch = {};
+    Object.entries(withStoredRows(store, savedData)).forEach(
+      ([rowKey, entry]) => {
+        batch[rowKey] = {
+          ...entry,
+          reasons: reasons[rowKey]?.values || {},
+        };
+      }
+    );
+    return batch;
+  };
+
+  // Columns marked "require reason for change" need one per edited cell;
+  // opens the reason dialog and returns true when any is missing
+  const requestMissingReasons = () => {
+    const missingReasons = listEdits(editedData).filter(
+      ({ rowKey, columnName }) =>
+        writebackColumnMap.get(columnName)?.requireReason &&
+        !String(getEdit(changeReasons, rowKey, columnName) || "").trim()
+    );
+    if (missingReasons.length === 0) return false;
+
+    setShowReasonDialog(true);
+    setSaveStatus({
+      success: false,
+      message: `A reason is required for ${missingReasons.length} change${
+        missingReasons.length !== 1 ? "s" : ""
+      }`,
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  };
+
+  // MODIFIED: saveAllChanges to update presence after save
+  const saveAllChanges = async () => {
+    if (!hasUnsavedChanges || countEdits(editedData) === 0) {
       return;
     }
 
+    // Confirm before save: show exactly what will be written first
+    if (writebackConfig.confirmBeforeSave) {
+      if (!requestMissingReasons()) {
+        openSavePreview(editedData, changeReasons);
+      }
+      return;
+    }
+
+    await commitChanges();
+  };
+
+  // Dry run of the save for the preview dialog
+  const openSavePreview = async (store, reasons) => {
+    setShowReasonDialog(false);
+    setSavePreview((prev) => ({ ...prev, loading: true }));
+
+    try {
+      const result = await previewWritebackData(
+        buildSaveBatch(store, reasons),
+        layout,
+        app
+      );
+      // Ignore the result when the dialog was closed meanwhile
+      setSavePreview((prev) =>
+        prev ? { loading: false, result, error: null } : null
+      );
+    } catch (error) {
+      log.error("Save preview failed", error);
+      setSavePreview((prev) =>
+        prev ? { loading: false, result: null, error: error.message } : null
+      );
+    }
+  };
+
+  // Drop one change from the pending edits and refresh the preview
+  const dropPreviewChange = (rowKey, columnName) => {
+    const nextEdits = removeEdit(editedData, rowKey, columnName);
+    const nextReasons = removeEdit(changeReasons, rowKey, columnName);
+    setEditedData(nextEdits);
+    setChangeReasons(nextReasons);
+
+    if (countEdits(nextEdits) === 0) {
+      setHasUnsavedChanges(false);
+      setSavePreview(null);
+      return;
+    }
+    openSavePreview(nextEdits, nextReasons);
+  };
+
+  const commitChanges = async () => {
+    setSavePreview(null);
+
     const validationErrors = [];
-    Object.entries(editedData).forEach(([key, value]) => {
-      const field = key.split("-").pop();
+    listEdits(editedData).forEach(({ columnName: field, value }) => {
       const config = writebackColumnMap.get(field);
       if (config) {
         const validation = validateField(value, config);
@@ -1486,61 +2383,1093 @@ export default function WritebackTable({
       return;
     }
 
-    if (writebackConfig.confirmBeforeSave) {
-      const confirmed = window.confirm(
-        `Save ${Object.keys(editedData).length} changes?`
+    if (requestMissingReasons()) {
+      return;
+    }
+
+    setIsSaving(true);
+    setSaveStatus(null);
+
+    const batch = buildSaveBatch(editedData, changeReasons);
+    setShowReasonDialog(false);
+
+    try {
+      const result = await saveWritebackData(batch, layout, app);
+
+      setSaveStatus({
+        success: result.success,
+        message: result.message,
+        fileName: result.fileName,
+        changeCount: result.changeCount,
+        timestamp: result.timestamp,
+      });
+
+      // Persisted rows become saved values; failed rows stay pending
+      const { savedRowKeys, failedRowKeys } = applySaveResult(batch, result);
+      setEditedData((prev) => omitRows(prev, savedRowKeys));
+      setChangeReasons((prev) => omitRows(prev, savedRowKeys));
+      if (result.conflicts && result.conflicts.length > 0) {
+        recordSaveConflicts(batch, result.conflicts);
+      }
+      setHasUnsavedChanges(failedRowKeys.length > 0);
+
+      // NEW: Update presence after successful save
+      if (presenceService) {
+        presenceService.updateEditingStatus(null, []);
+      }
+
+      if (autoSaveTimer) {
+        clearTimeout(autoSaveTimer);
+        setAutoSaveTimer(null);
+      }
+    } catch (error) {
+      if (error.retryable && saveQueue) {
+        // Backend unreachable: hand the batch to the outbox, which keeps it
+        // across reloads and replays it with backoff
+        saveQueue.enqueue(batch, error);
+        setEditedData((prev) => omitRows(prev, Object.keys(batch)));
+        setChangeReasons((prev) => omitRows(prev, Object.keys(batch)));
+        setHasUnsavedChanges(false);
+        setSaveStatus({
+          success: false,
+          message: `Could not reach storage - ${countEdits(
+            batch
+          )} changes queued for retry`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      setSaveStatus({
+        success: false,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const clearAllChanges = () => {
+    setEditedData(createEditStore());
+    setChangeReasons(createEditStore());
+    setShowReasonDialog(false);
+    setSavePreview(null);
+    setHasUnsavedChanges(false);
+    setSaveStatus(null);
+
+    if (autoSaveTimer) {
+      clearTimeout(autoSaveTimer);
+      setAutoSaveTimer(null);
+    }
+  };
+
+  // Open the change timeline of a writeback cell (right-click/long-press)
+  const openCellHistory = async (rowId, columnName, row) => {
+    const baseCells = row.slice(0, baseColumns.length);
+    setHistoryPanel({
+      rowKey: rowId,
+      row: baseCells,
+      columnName,
+      loading: true,
+      entries: [],
+      error: null,
+    });
+
+    const isSameCell = (panel) =>
+      panel && panel.rowKey === rowId && panel.columnName === columnName;
+
+    try {
+      const entries = await loadCellHistory(
+        layout,
+        app,
+        baseCells,
+        columnName
+      );
+      setHistoryPanel((prev) =>
+        isSameCell(prev) ? { ...prev, loading: false, entries } : prev
+      );
+    } catch (error) {
+      readLog.error("Failed to load cell history", error);
+      setHistoryPanel((prev) =>
+        isSameCell(prev)
+          ? { ...prev, loading: false, error: error.message }
+          : prev
+      );
+    }
+  };
+
+  const startLongPress = (rowId, columnName, row) => {
+    clearTimeout(longPressTimerRef.current);
+    longPressTimerRef.current = setTimeout(
+      () => openCellHistory(rowId, columnName, row),
+      600
+    );
+  };
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressTimerRef.current);
+  };
+
+  // Stage an old value as a new pending edit; it is saved like any other
+  const restoreHistoryVersion = (entry) => {
+    const { rowKey, row, columnName } = historyPanel;
+    updateEditedData(rowKey, columnName, entry.value ?? "", row);
+    if (currentMode !== "edit") {
+      handleModeChange("edit");
+    }
+    setHistoryPanel(null);
+  };
+
+  const renderCellHistoryPanel = () => {
+    if (!historyPanel) return null;
+
+    const config = writebackColumnMap.get(historyPanel.columnName);
+    const canRestore =
+      hasActiveWriteback && config && !config.readOnly && !isPointInTime;
+    const currentValue = getEditedValue(
+      historyPanel.rowKey,
+      historyPanel.columnName
+    );
+
+    return (
+      <>
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: "rgba(0, 0, 0, 0.3)",
+            zIndex: 999,
+          }}
+          onClick={() => setHistoryPanel(null)}
+        />
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            right: 0,
+            height: "100vh",
+            width: "350px",
+            background: "white",
+            borderLeft: "1px solid #dee2e6",
+            boxShadow: "-4px 0 12px rgba(0,0,0,0.15)",
+            zIndex: 1000,
+            display: "flex",
+            flexDirection: "column",
+            fontSize: "13px",
+          }}
+        >
+          <div
+            style={{
+              padding: "20px",
+              borderBottom: "1px solid #dee2e6",
+              background: "#f8f9fa",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "flex-start",
+            }}
+          >
+            <div>
+              <h3 style={{ margin: 0, color: "#2c5aa0", fontSize: "16px" }}>
+                🕘 {historyPanel.columnName} history
+              </h3>
+              <div
+                style={{ color: "#6c757d", fontSize: "11px", marginTop: 4 }}
+              >
+                🔑 {historyPanel.rowKey}
+              </div>
+            </div>
+            <button
+              onClick={() => setHistoryPanel(null)}
+              style={{
+                background: "none",
+                border: "none",
+                fontSize: "18px",
+                cursor: "pointer",
+                color: "#6c757d",
+                padding: "4px",
+              }}
+            >
+              ×
+            </button>
+          </div>
+
+          <div style={{ flex: 1, overflowY: "auto", padding: "12px 20px" }}>
+            {historyPanel.loading ? (
+              <div style={{ color: "#007acc" }}>Loading history...</div>
+            ) : historyPanel.error ? (
+              <div style={{ color: "#dc3545" }}>⚠️ {historyPanel.error}</div>
+            ) : historyPanel.entries.length === 0 ? (
+              <div style={{ color: "#6c757d" }}>
+                No saved changes for this cell yet.
+              </div>
+            ) : (
+              historyPanel.entries.map((entry, index) => (
+                <div
+                  key={index}
+                  style={{
+                    padding: "10px 0",
+                    borderBottom: "1px solid #eee",
+                  }}
+                >
+                  <div style={{ fontWeight: "500", color: "#212529" }}>
+                    {entry.value === null ? (
+                      <em style={{ color: "#6c757d" }}>empty</em>
+                    ) : (
+                      formatDisplayValue(entry.value)
+                    )}
+                    {index === 0 && (
+                      <span
+                        style={{
+                          marginLeft: "6px",
+                          fontSize: "10px",
+                          color: "#28a745",
+                        }}
+                      >
+                        latest
+                      </span>
+                    )}
+                  </div>
+                  {entry.previousValue !== null && (
+                    <div style={{ fontSize: "11px", color: "#6c757d" }}>
+                      was {formatDisplayValue(entry.previousValue)}
+                    </div>
+                  )}
+                  <div style={{ fontSize: "11px", color: "#6c757d" }}>
+                    {entry.user || "Unknown user"} •{" "}
+                    {formatTimestamp(entry.timestamp, displayTimeZone) ||
+                      "unknown time"}
+                    {entry.version !== null && ` • v${entry.version}`}
+                  </div>
+                  {entry.reason && (
+                    <div style={{ fontSize: "11px", color: "#495057" }}>
+                      📝 {entry.reason}
+                    </div>
+                  )}
+                  {canRestore &&
+                    String(entry.value ?? "") !== String(currentValue) && (
+                    <button
+                      onClick={() => restoreHistoryVersion(entry)}
+                      style={{
+                        marginTop: "6px",
+                        padding: "3px 8px",
+                        background: "#007acc",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "3px",
+                        fontSize: "11px",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Restore this version
+                    </button>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  const openDiagnostics = async () => {
+    if (showDiagnostics) {
+      setShowDiagnostics(false);
+      return;
+    }
+    setShowDiagnostics(true);
+
+    if (!identityDetails) {
+      try {
+        setIdentityDetails(await getUserIdentityDetails(app));
+      } catch (error) {
+        setIdentityDetails({ error: error.message });
+      }
+    }
+  };
+
+  const runDiagnosticsTests = async () => {
+    setDiagnosticsTests({ running: true });
+    const [save, read] = await Promise.all([
+      testDatabaseConnection(layout, app),
+      testReadConnection(layout, app),
+    ]);
+    setDiagnosticsTests({ running: false, save, read });
+  };
+
+  // Connection diagnostics drawer for authors
+  const renderDiagnosticsDrawer = () => {
+    if (!showDiagnostics || !canViewDiagnostics) return null;
+
+    const endpoints = getResolvedEndpoints(layout);
+    const sectionTitle = {
+      margin: "16px 0 6px",
+      fontSize: "12px",
+      color: "#2c5aa0",
+      textTransform: "uppercase",
+    };
+    const rowStyle = {
+      display: "flex",
+      justifyContent: "space-between",
+      gap: "12px",
+      padding: "3px 0",
+      borderBottom: "1px solid #f1f3f5",
+    };
+    const valueStyle = { color: "#495057", wordBreak: "break-all" };
+
+    const renderRow = (label, value, color) => (
+      <div style={rowStyle}>
+        <span style={{ color: "#6c757d", whiteSpace: "nowrap" }}>{label}</span>
+        <span style={{ ...valueStyle, color: color || valueStyle.color }}>
+          {value === null || value === undefined || value === ""
+            ? "—"
+            : value}
+        </span>
+      </div>
+    );
+
+    const renderRequest = (label, request) => (
+      <>
+        <h4 style={sectionTitle}>{label}</h4>
+        {!request ? (
+          <div style={{ color: "#6c757d" }}>
+            No request in this session yet
+          </div>
+        ) : (
+          <>
+            {renderRow("Endpoint", request.url)}
+            {renderRow(
+              "HTTP status",
+              request.status,
+              request.ok ? "#28a745" : "#dc3545"
+            )}
+            {renderRow(
+              "Latency",
+              request.durationMs !== null ? `${request.durationMs} ms` : null
+            )}
+            {renderRow(
+              "Response shape",
+              request.shape,
+              request.shape === "string-parse" || request.shape === "text"
+                ? "#856404"
+                : null
+            )}
+            {renderRow(
+              "At",
+              formatTimestamp(request.at, displayTimeZone, {
+                dateStyle: undefined,
+              })
+            )}
+            {request.error && renderRow("Error", request.error, "#dc3545")}
+          </>
+        )}
+      </>
+    );
+
+    const renderTest = (label, test) =>
+      renderRow(
+        label,
+        test.success
+          ? `OK${test.status ? ` (HTTP ${test.status})` : ""}`
+          : test.error || test.message,
+        test.success ? "#28a745" : "#dc3545"
+      );
+
+    return (
+      <>
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: "rgba(0, 0, 0, 0.3)",
+            zIndex: 999,
+          }}
+          onClick={() => setShowDiagnostics(false)}
+        />
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            right: 0,
+            height: "100vh",
+            width: "400px",
+            background: "white",
+            borderLeft: "1px solid #dee2e6",
+            boxShadow: "-4px 0 12px rgba(0,0,0,0.15)",
+            zIndex: 1000,
+            display: "flex",
+            flexDirection: "column",
+            fontSize: "12px",
+          }}
+        >
+          <div
+            style={{
+              padding: "20px",
+              borderBottom: "1px solid #dee2e6",
+              background: "#f8f9fa",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "flex-start",
+            }}
+          >
+            <div>
+              <h3 style={{ margin: 0, color: "#2c5aa0", fontSize: "16px" }}>
+                🩺 Connection diagnostics
+              </h3>
+              <div
+                style={{ color: "#6c757d", fontSize: "11px", marginTop: 4 }}
+              >
+                Visible to app authors only
+              </div>
+            </div>
+            <button
+              onClick={() => setShowDiagnostics(false)}
+              style={{
+                background: "none",
+                border: "none",
+                fontSize: "18px",
+                cursor: "pointer",
+                color: "#6c757d",
+                padding: "4px",
+              }}
+            >
+              ×
+            </button>
+          </div>
+
+          <div style={{ flex: 1, overflowY: "auto", padding: "0 20px 20px" }}>
+            <h4 style={sectionTitle}>Endpoints</h4>
+            {renderRow("Adapter", endpoints.adapter)}
+            {renderRow(
+              "Save",
+              endpoints.save,
+              endpoints.save ? null : "#dc3545"
+            )}
+            {renderRow(
+              "Read",
+              endpoints.read,
+              endpoints.read ? null : "#dc3545"
+            )}
+            {renderRow("Auth mode", endpoints.authMode)}
+            {endpoints.tokenVariable &&
+              renderRow("Token variable", endpoints.tokenVariable)}
+
+            <button
+              onClick={runDiagnosticsTests}
+              disabled={diagnosticsTests && diagnosticsTests.running}
+              style={{
+                marginTop: "8px",
+                padding: "4px 10px",
+                background: "#007acc",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                fontSize: "11px",
+                cursor: "pointer",
+              }}
+            >
+              {diagnosticsTests && diagnosticsTests.running
+                ? "Testing..."
+                : "Test save and read"}
+            </button>
+            {diagnosticsTests && !diagnosticsTests.running && (
+              <>
+                {renderTest("Save test", diagnosticsTests.save)}
+                {renderTest("Read test", diagnosticsTests.read)}
+              </>
+            )}
+
+            {renderRequest("Last save", requestDiagnostics.save)}
+            {renderRequest("Last read", requestDiagnostics.read)}
+
+            <h4 style={sectionTitle}>Identity</h4>
+            {!identityDetails ? (
+              <div style={{ color: "#007acc" }}>Detecting user...</div>
+            ) : identityDetails.error ? (
+              <div style={{ color: "#dc3545" }}>
+                ⚠️ {identityDetails.error}
+              </div>
+            ) : (
+              <>
+                {renderRow("Saved as", identityDetails.displayName)}
+                {renderRow("User ID", identityDetails.userId)}
+                {renderRow("Directory", identityDetails.directory)}
+                {renderRow("Email", identityDetails.email)}
+                {renderRow(
+                  "Source",
+                  `${
+                    identityDetails.source === "users-api"
+                      ? "Qlik users API"
+                      : identityDetails.source === "engine"
+                      ? "Engine user ID"
+                      : "Anonymous session user"
+                  }${identityDetails.fromCache ? " (session cache)" : ""}`
+                )}
+              </>
+            )}
+
+            <h4 style={sectionTitle}>Table schema</h4>
+            {!schemaCheck ? (
+              <div style={{ color: "#6c757d" }}>Not checked</div>
+            ) : (
+              <>
+                {renderRow(
+                  "Result",
+                  schemaCheck.status === "ok"
+                    ? "Table columns match"
+                    : schemaCheck.status === "drift"
+                    ? "Mismatch"
+                    : "Unknown",
+                  schemaCheck.status === "ok"
+                    ? "#28a745"
+                    : schemaCheck.status === "drift"
+                    ? "#dc3545"
+                    : null
+                )}
+                {schemaCheck.missing.length > 0 &&
+                  renderRow("Missing", schemaCheck.missing.join(", "))}
+                {schemaCheck.renamed.length > 0 &&
+                  renderRow(
+                    "Renamed",
+                    schemaCheck.renamed
+                      .map((rename) => `${rename.actual} → ${rename.expected}`)
+                      .join(", ")
+                  )}
+                {schemaCheck.unexpected.length > 0 &&
+                  renderRow("Extra columns", schemaCheck.unexpected.join(", "))}
+                {schemaCheck.status === "unknown" &&
+                  renderRow("Details", schemaCheck.message)}
+              </>
+            )}
+
+            <h4 style={sectionTitle}>Key uniqueness</h4>
+            {!keyDimensionsConfig.validateKeyUniqueness ? (
+              <div style={{ color: "#6c757d" }}>Validation is turned off</div>
+            ) : (
+              <>
+                {renderRow(
+                  "Result",
+                  keyValidation.isValid
+                    ? "All keys unique"
+                    : `${keyValidation.duplicates.length} duplicate key${
+                        keyValidation.duplicates.length !== 1 ? "s" : ""
+                      }`,
+                  keyValidation.isValid ? "#28a745" : "#dc3545"
+                )}
+                {renderRow("Rows checked", keyValidation.totalRows)}
+                {renderRow("Unique keys", keyValidation.uniqueKeys)}
+                {renderRow(
+                  "Key columns",
+                  keyDimensionsSummary.keyDimensionNames.join(" + ")
+                )}
+                {keyValidation.duplicates.slice(0, 20).map((duplicate) => (
+                  <div
+                    key={`${duplicate.key}-${duplicate.rows.join("-")}`}
+                    style={{
+                      padding: "4px 6px",
+                      marginTop: "4px",
+                      background: "#fff5f5",
+                      borderRadius: "3px",
+                      color: "#721c24",
+                    }}
+                  >
+                    🔑 {duplicate.key} — rows {duplicate.rows[0] + 1} and{" "}
+                    {duplicate.rows[1] + 1}
+                  </div>
+                ))}
+                {keyValidation.duplicates.length > 20 && (
+                  <div style={{ color: "#6c757d", marginTop: "4px" }}>
+                    ...and {keyValidation.duplicates.length - 20} more
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  const loadSavePoints = async () => {
+    try {
+      setSavePoints(await listSavePoints(layout, app));
+    } catch (error) {
+      readLog.error("Failed to load save points", error);
+    }
+  };
+
+  // Live / point-in-time switch shown above the table
+  const renderPointInTimeBar = () => {
+    if (!hasActiveWriteback) return null;
+
+    if (isPointInTime) {
+      return (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            background: "#e3f2fd",
+            color: "#1976d2",
+            border: "1px solid #bbdefb",
+            borderRadius: "4px",
+            padding: "6px 12px",
+            margin: "8px 0",
+            fontSize: "12px",
+          }}
+        >
+          <span style={{ flex: 1 }}>
+            🕘 <strong>Point-in-time view:</strong> writeback values as of{" "}
+            {pointInTime.label ||
+              formatTimestamp(pointInTime.asOf, displayTimeZone)}{" "}
+            (read-only)
+            {isLoadingAsOf && " • Loading..."}
+          </span>
+          <button
+            onClick={() => setPointInTime(null)}
+            style={{
+              padding: "4px 8px",
+              background: "#007acc",
+              color: "white",
+              border: "none",
+              borderRadius: "3px",
+              fontSize: "11px",
+              cursor: "pointer",
+            }}
+          >
+            Back to live
+          </button>
+        </div>
       );
-      if (!confirmed) {
-        return;
-      }
     }
 
-    setIsSaving(true);
-    setSaveStatus(null);
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          margin: "8px 0",
+          fontSize: "12px",
+          color: "#6c757d",
+        }}
+      >
+        <span>🕘 View as of:</span>
+        <select
+          value=""
+          onFocus={loadSavePoints}
+          onChange={(e) => {
+            const point = savePoints.find(
+              (p) => p.timestamp === e.target.value
+            );
+            if (point) {
+              setPointInTime({
+                asOf: point.timestamp,
+                label: `${formatTimestamp(point.timestamp, displayTimeZone)}${
+                  point.user ? ` (saved by ${point.user})` : ""
+                }`,
+              });
+            }
+          }}
+          style={{ fontSize: "12px", padding: "2px 4px" }}
+        >
+          <option value="">Saved version...</option>
+          {savePoints.map((point) => (
+            <option key={point.timestamp} value={point.timestamp}>
+              {formatTimestamp(point.timestamp, displayTimeZone)}
+              {point.user ? ` - ${point.user}` : ""}
+              {point.version !== null ? ` (v${point.version})` : ""}
+            </option>
+          ))}
+        </select>
+        <span>or</span>
+        <input
+          type="datetime-local"
+          onChange={(e) => {
+            const asOf = toStoredTimestamp(e.target.value, displayTimeZone);
+            if (asOf) setPointInTime({ asOf });
+          }}
+          style={{ fontSize: "12px", padding: "2px 4px" }}
+        />
+      </div>
+    );
+  };
 
-    try {
-      const result = await saveWritebackData(editedData, layout, app);
+  // Change reason dialog - rendered by a plain function (not a component)
+  // so its inputs keep focus while typing
+  const renderChangeReasonDialog = () => {
+    if (!showReasonDialog) return null;
 
-      setSaveStatus({
-        success: true,
-        message: result.message,
-        fileName: result.fileName,
-        changeCount: result.changeCount,
-        timestamp: result.timestamp,
-      });
+    const edits = listEdits(editedData);
 
-      setHasUnsavedChanges(false);
-      setEditedData({});
+    return (
+      <>
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: "rgba(0, 0, 0, 0.3)",
+            zIndex: 999,
+          }}
+          onClick={() => setShowReasonDialog(false)}
+        />
+        <div
+          style={{
+            position: "fixed",
+            top: "50%",
+            left: "50%",
+            transform: "translate(-50%, -50%)",
+            width: "480px",
+            maxHeight: "70vh",
+            overflowY: "auto",
+            background: "white",
+            borderRadius: "6px",
+            boxShadow: "0 4px 16px rgba(0,0,0,0.2)",
+            zIndex: 1000,
+            padding: "16px",
+            fontSize: "13px",
+          }}
+        >
+          <h3
+            style={{ margin: "0 0 12px", color: "#2c5aa0", fontSize: "16px" }}
+          >
+            📝 Reasons for change
+          </h3>
 
-      // NEW: Update presence after successful save
-      if (presenceService) {
-        presenceService.updateEditingStatus(null, []);
-      }
+          {edits.map(({ rowKey, columnName, value }) => {
+            const required =
+              writebackColumnMap.get(columnName)?.requireReason;
 
-      if (autoSaveTimer) {
-        clearTimeout(autoSaveTimer);
-        setAutoSaveTimer(null);
-      }
-    } catch (error) {
-      setSaveStatus({
-        success: false,
-        message: error.message,
-        timestamp: new Date().toISOString(),
-      });
-    } finally {
-      setIsSaving(false);
-    }
+            return (
+              <div
+                key={`${rowKey}::${columnName}`}
+                style={{ marginBottom: 10 }}
+              >
+                <div style={{ color: "#495057", marginBottom: 4 }}>
+                  <strong>{columnName}</strong> on 🔑 {rowKey} →{" "}
+                  {String(value)}
+                  {required && <span style={{ color: "#dc3545" }}> *</span>}
+                </div>
+                <input
+                  type="text"
+                  value={getEdit(changeReasons, rowKey, columnName) || ""}
+                  onChange={(e) =>
+                    setChangeReasons((prev) =>
+                      setEdit(prev, rowKey, columnName, e.target.value)
+                    )
+                  }
+                  placeholder={required ? "Reason (required)" : "Reason"}
+                  style={{
+                    width: "100%",
+                    padding: "6px 8px",
+                    border: "1px solid #ddd",
+                    borderRadius: "4px",
+                    boxSizing: "border-box",
+                  }}
+                />
+              </div>
+            );
+          })}
+
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "flex-end",
+              gap: "8px",
+              marginTop: "12px",
+            }}
+          >
+            <button
+              onClick={() => setShowReasonDialog(false)}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: "#6c757d",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={saveAllChanges}
+              disabled={isSaving}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: "#28a745",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: isSaving ? "not-allowed" : "pointer",
+                fontSize: "12px",
+                fontWeight: "500",
+              }}
+            >
+              Save Changes
+            </button>
+          </div>
+        </div>
+      </>
+    );
   };
 
-  const clearAllChanges = () => {
-    setEditedData({});
-    setHasUnsavedChanges(false);
-    setSaveStatus(null);
+  // Save preview dialog - every pending change grouped by row key, with its
+  // validation status; authors also see the payload that would be sent
+  const renderSavePreviewDialog = () => {
+    if (!savePreview) return null;
+
+    const { loading, result, error } = savePreview;
+    const cellStyle = {
+      padding: "4px 6px",
+      borderBottom: "1px solid #f1f3f5",
+      textAlign: "left",
+      verticalAlign: "top",
+    };
 
-    if (autoSaveTimer) {
-      clearTimeout(autoSaveTimer);
-      setAutoSaveTimer(null);
-    }
+    // The service checks the column type; the panel rules (required,
+    // lengths, ranges) are checked here like in the cell editors
+    const getChangeError = (rowKey, change) => {
+      if (!change.valid) return change.error;
+      const config = writebackColumnMap.get(change.columnName);
+      if (!config) return null;
+      const validation = validateField(
+        getEdit(editedData, rowKey, change.columnName),
+        config
+      );
+      return validation.isValid ? null : validation.message;
+    };
+
+    const invalidCount = result
+      ? result.rows.reduce(
+          (count, row) =>
+            count +
+            row.changes.filter((change) => getChangeError(row.rowKey, change))
+              .length,
+          0
+        )
+      : 0;
+    const canSave = !loading && !!result && invalidCount === 0;
+
+    return (
+      <>
+        <div
+          style={{
+            position: "fixed",
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: "rgba(0, 0, 0, 0.3)",
+            zIndex: 999,
+          }}
+          onClick={() => setSavePreview(null)}
+        />
+        <div
+          style={{
+            position: "fixed",
+            top: "50%",
+            left: "50%",
+            transform: "translate(-50%, -50%)",
+            width: "640px",
+            maxWidth: "95vw",
+            maxHeight: "80vh",
+            overflowY: "auto",
+            background: "white",
+            borderRadius: "6px",
+            boxShadow: "0 4px 16px rgba(0,0,0,0.2)",
+            zIndex: 1000,
+            padding: "16px",
+            fontSize: "13px",
+          }}
+        >
+          <h3
+            style={{ margin: "0 0 4px", color: "#2c5aa0", fontSize: "16px" }}
+          >
+            🔍 Review changes before saving
+          </h3>
+          {result && (
+            <div style={{ color: "#6c757d", marginBottom: "12px" }}>
+              {result.changeCount} change
+              {result.changeCount !== 1 ? "s" : ""} in {result.rows.length}{" "}
+              row{result.rows.length !== 1 ? "s" : ""}
+              {invalidCount > 0 && (
+                <span style={{ color: "#dc3545" }}>
+                  {" "}
+                  • {invalidCount} invalid - fix or drop them to save
+                </span>
+              )}
+            </div>
+          )}
+
+          {loading && !result && (
+            <div style={{ color: "#007acc" }}>Preparing preview...</div>
+          )}
+          {error && <div style={{ color: "#dc3545" }}>⚠️ {error}</div>}
+
+          {result &&
+            result.rows.map((row) => (
+              <div key={row.rowKey} style={{ marginBottom: "12px" }}>
+                <div style={{ fontWeight: "600", color: "#495057" }}>
+                  🔑 {row.rowKey}{" "}
+                  <span style={{ fontWeight: "400", color: "#6c757d" }}>
+                    {row.expectedVersion === null
+                      ? "(new row)"
+                      : `(version ${row.expectedVersion})`}
+                  </span>
+                </div>
+                {row.error && (
+                  <div style={{ color: "#dc3545", fontSize: "12px" }}>
+                    ⚠️ {row.error}
+                  </div>
+                )}
+                <table
+                  style={{
+                    width: "100%",
+                    borderCollapse: "collapse",
+                    fontSize: "12px",
+                    marginTop: "4px",
+                  }}
+                >
+                  <thead>
+                    <tr style={{ color: "#6c757d" }}>
+                      <th style={cellStyle}>Column</th>
+                      <th style={cellStyle}>Old value</th>
+                      <th style={cellStyle}>New value</th>
+                      <th style={cellStyle}>Status</th>
+                      <th style={cellStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {row.changes.map((change) => {
+                      const changeError = getChangeError(row.rowKey, change);
+
+                      return (
+                        <tr key={change.columnName}>
+                          <td style={cellStyle}>
+                            {change.columnName}
+                            {change.reason && (
+                              <div style={{ color: "#6c757d" }}>
+                                📝 {change.reason}
+                              </div>
+                            )}
+                          </td>
+                          <td style={{ ...cellStyle, color: "#6c757d" }}>
+                            {formatDisplayValue(change.oldValue) || "—"}
+                          </td>
+                          <td style={cellStyle}>
+                            {formatDisplayValue(change.newValue) || "—"}
+                          </td>
+                          <td
+                            style={{
+                              ...cellStyle,
+                              color: changeError ? "#dc3545" : "#28a745",
+                            }}
+                          >
+                            {changeError ? `⚠️ ${changeError}` : "✅ OK"}
+                          </td>
+                          <td style={{ ...cellStyle, textAlign: "right" }}>
+                            <button
+                              onClick={() =>
+                                dropPreviewChange(row.rowKey, change.columnName)
+                              }
+                              disabled={loading}
+                              title="Discard this change"
+                              style={{
+                                padding: "2px 8px",
+                                background: "white",
+                                color: "#dc3545",
+                                border: "1px solid #dc3545",
+                                borderRadius: "3px",
+                                fontSize: "11px",
+                                cursor: "pointer",
+                              }}
+                            >
+                              Drop
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+
+          {result && result.payload && canViewDiagnostics && (
+            <details style={{ marginTop: "8px" }}>
+              <summary style={{ cursor: "pointer", color: "#495057" }}>
+                Generated payload
+              </summary>
+              <pre
+                style={{
+                  maxHeight: "240px",
+                  overflow: "auto",
+                  background: "#f8f9fa",
+                  padding: "8px",
+                  borderRadius: "4px",
+                  fontSize: "11px",
+                }}
+              >
+                {JSON.stringify(result.payload, null, 2)}
+              </pre>
+            </details>
+          )}
+
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "flex-end",
+              gap: "8px",
+              marginTop: "12px",
+            }}
+          >
+            <button
+              onClick={() => setSavePreview(null)}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: "#6c757d",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: "pointer",
+                fontSize: "12px",
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={commitChanges}
+              disabled={!canSave || isSaving}
+              style={{
+                padding: "6px 12px",
+                backgroundColor: canSave ? "#28a745" : "#adb5bd",
+                color: "white",
+                border: "none",
+                borderRadius: "4px",
+                cursor: canSave && !isSaving ? "pointer" : "not-allowed",
+                fontSize: "12px",
+                fontWeight: "500",
+              }}
+            >
+              Save {result ? result.changeCount : ""} change
+              {result && result.changeCount === 1 ? "" : "s"}
+            </button>
+          </div>
+        </div>
+      </>
+    );
   };
 
   // MODIFIED: handleModeChange to update presence
@@ -1560,9 +3489,11 @@ export default function WritebackTable({
     }
   };
 
-  const renderWritebackCell = (rowId, field, config) => {
+  const renderWritebackCell = (rowId, field, config, row) => {
     const value = getEditedValue(rowId, field);
-    const isDisabled = config.readOnly || currentMode !== "edit";
+    // Point-in-time views are read-only
+    const isEditable = currentMode === "edit" && !isPointInTime;
+    const isDisabled = config.readOnly || !isEditable;
     const validation = validateField(value, config);
 
     const baseStyle = {
@@ -1575,11 +3506,11 @@ export default function WritebackTable({
       color: isDisabled ? "#6c757d" : "#495057",
       cursor: isDisabled ? "not-allowed" : "text",
       boxSizing: "border-box",
-      opacity: currentMode !== "edit" ? 0.6 : 1,
+      opacity: !isEditable ? 0.6 : 1,
     };
 
     const handleChange = (newValue) => {
-      updateEditedData(rowId, field, newValue);
+      updateEditedData(rowId, field, newValue, row);
     };
 
     switch (config.columnType) {
@@ -1592,7 +3523,7 @@ export default function WritebackTable({
               onChange={(e) => handleChange(e.target.value)}
               placeholder={config.placeholder}
               readOnly={config.readOnly}
-              disabled={currentMode !== "edit"}
+              disabled={!isEditable}
               style={baseStyle}
               title={!validation.isValid ? validation.message : undefined}
             />
@@ -1614,7 +3545,7 @@ export default function WritebackTable({
               onChange={(e) => handleChange(e.target.value)}
               placeholder={config.placeholder}
               readOnly={config.readOnly}
-              disabled={currentMode !== "edit"}
+              disabled={!isEditable}
               rows={2}
               style={{
                 ...baseStyle,
@@ -1642,7 +3573,7 @@ export default function WritebackTable({
               onChange={(e) => handleChange(e.target.value)}
               placeholder={config.placeholder}
               readOnly={config.readOnly}
-              disabled={currentMode !== "edit"}
+              disabled={!isEditable}
               min={config.validation?.min}
               max={config.validation?.max}
               style={baseStyle}
@@ -1686,7 +3617,7 @@ export default function WritebackTable({
             value={value}
             onChange={(e) => handleChange(e.target.value)}
             readOnly={config.readOnly}
-            disabled={currentMode !== "edit"}
+            disabled={!isEditable}
             style={baseStyle}
           />
         );
@@ -1707,7 +3638,7 @@ export default function WritebackTable({
         );
 
       default:
-        return <span>{value}</span>;
+        return <span>{formatDisplayValue(value)}</span>;
     }
   };
 
@@ -1783,10 +3714,10 @@ export default function WritebackTable({
       );
 
       if (success) {
-        console.log("Cell selection completed, waiting for layout update...");
+        selectionLog.debug("Cell selection completed, waiting for layout");
       }
     } catch (error) {
-      console.error("Error in cell click:", error);
+      selectionLog.error("Error in cell click", error);
     }
   }
 
@@ -1853,7 +3784,7 @@ export default function WritebackTable({
             success = true;
           }
         } catch (fieldError) {
-          console.error(`Failed to select in field ${fieldName}:`, fieldError);
+          selectionLog.error(`Failed to select in field ${fieldName}`, fieldError);
         }
       }
 
@@ -1862,7 +3793,7 @@ export default function WritebackTable({
         setSelectionMode(false);
       }
     } catch (error) {
-      console.error("Error applying cell selections:", error);
+      selectionLog.error("Error applying cell selections", error);
     } finally {
       setTimeout(() => {
         setIsApplyingSelection(false);
@@ -1880,7 +3811,7 @@ export default function WritebackTable({
         setSelectionMode(false);
       }
     } catch (error) {
-      console.error("Error clearing selections:", error);
+      selectionLog.error("Error clearing selections", error);
     } finally {
       setTimeout(() => {
         setIsApplyingSelection(false);
@@ -1888,8 +3819,16 @@ export default function WritebackTable({
     }
   }
 
-  const displayRows = sortRows(rows, sortBy, sortDir);
-  const { pagedRows, totalPages } = getPagedRows(displayRows, page, pageSize);
+  const engineSort = getEngineSortState(layout);
+  const displayRows = writebackSort
+    ? sortRowsByValue(
+        rows,
+        (row) => getEditedValue(getRowId(row), writebackSort.columnName),
+        writebackSort.ascending
+      )
+    : rows;
+  const { pagedRows } = getPagedRows(displayRows, page, pageSize);
+  const totalPages = Math.ceil(totalRowCount / pageSize) || 1;
   const pageStartIndex = page * pageSize;
   const pageSelectionCount = getPageSelectionCount(
     selectedRows,
@@ -1910,22 +3849,54 @@ export default function WritebackTable({
     return "120px";
   };
 
-  function handleHeaderClick(idx) {
-    if (!isWritebackColumn(idx)) {
-      if (sortBy === idx) {
-        setSortDir((prev) => !prev);
-      } else {
-        setSortBy(idx);
-        setSortDir(true);
-      }
-      setPage(0);
+  async function handleHeaderClick(idx) {
+    setPage(0);
+
+    if (isWritebackColumn(idx)) {
+      const columnName = getWritebackColumnName(idx, layout);
+      setWritebackSort((prev) =>
+        prev && prev.columnName === columnName
+          ? { columnName, ascending: !prev.ascending }
+          : { columnName, ascending: true }
+      );
+      return;
+    }
+
+    // Base column: sort in the engine, the new layout brings sorted rows
+    const ascending =
+      engineSort && engineSort.columnIndex === idx
+        ? !engineSort.ascending
+        : true;
+    setWritebackSort(null);
+
+    try {
+      await applyEngineSort(model, buildSortPatches(layout, idx, ascending));
+    } catch (error) {
+      log.error("Failed to apply engine sort", error);
     }
   }
 
-  function resetSort() {
-    setSortBy(null);
-    setSortDir(true);
+  async function resetSort() {
+    setWritebackSort(null);
     setPage(0);
+
+    try {
+      await applyEngineSort(model, buildResetSortPatches(layout));
+    } catch (error) {
+      log.error("Failed to reset engine sort", error);
+    }
+  }
+
+  // Indicator for a header: local writeback sort wins over the engine sort
+  function getSortIndicator(idx, isWriteback, columnName) {
+    if (writebackSort) {
+      if (!isWriteback || writebackSort.columnName !== columnName) return null;
+      return writebackSort.ascending ? "▲" : "▼";
+    }
+    if (isWriteback || !engineSort || engineSort.columnIndex !== idx) {
+      return null;
+    }
+    return engineSort.ascending ? "▲" : "▼";
   }
 
   function gotoPage(newPage) {
@@ -1939,6 +3910,8 @@ export default function WritebackTable({
 
       {/* Show conflict alerts */}
       <ConflictAlert conflicts={conflicts} />
+      <SaveConflictPanel />
+      {renderPointInTimeBar()}
 
       {/* Table container */}
       <div
@@ -1985,7 +3958,7 @@ export default function WritebackTable({
                     <th
                       key={idx}
                       style={{
-                        cursor: isWriteback ? "default" : "pointer",
+                        cursor: "pointer",
                         userSelect: "none",
                         padding: "12px 8px",
                         backgroundColor: "#f8f9fa",
@@ -2044,9 +4017,16 @@ export default function WritebackTable({
                             </span>
                           )}
                         </span>
-                        {sortBy === idx && !isWriteback && (
-                          <span style={{ color: "#007acc", fontSize: "12px" }}>
-                            {sortDir ? "▲" : "▼"}
+                        {getSortIndicator(idx, isWriteback, columnName) && (
+                          <span
+                            style={{ color: "#007acc", fontSize: "12px" }}
+                            title={
+                              isWriteback
+                                ? "Sorted locally within loaded rows"
+                                : "Sorted by the Qlik engine"
+                            }
+                          >
+                            {getSortIndicator(idx, isWriteback, columnName)}
                           </span>
                         )}
                       </div>
@@ -2058,7 +4038,6 @@ export default function WritebackTable({
 
             <tbody>
               {pagedRows.map((row, i) => {
-                const actualRowIndex = pageStartIndex + i;
                 const backgroundColor = i % 2 === 0 ? "#ffffff" : "#f9f9f9";
 
                 return (
@@ -2098,7 +4077,7 @@ export default function WritebackTable({
                           );
                         });
 
-                      const rowId = getRowId(row, actualRowIndex);
+                      const rowId = getRowId(row);
 
                       let cellColumnName = null;
                       if (isWriteback) {
@@ -2114,7 +4093,8 @@ export default function WritebackTable({
                         cellContent = renderWritebackCell(
                           rowId,
                           columnName,
-                          config
+                          config,
+                          row
                         );
                       } else {
                         cellContent = (
@@ -2210,7 +4190,7 @@ export default function WritebackTable({
                                   )?.required
                                     ? " - Required"
                                     : ""
-                                }`
+                                } • Right-click for history`
                               : !isWriteback &&
                                 cellColumnName &&
                                 isKeyDimension(cellColumnName, layout)
@@ -2218,6 +4198,22 @@ export default function WritebackTable({
                               : cell.qText
                           }
                           onClick={() => onCellClick(j, cell, row, i)}
+                          onContextMenu={
+                            isWriteback
+                              ? (e) => {
+                                  e.preventDefault();
+                                  openCellHistory(rowId, cellColumnName, row);
+                                }
+                              : undefined
+                          }
+                          onTouchStart={
+                            isWriteback
+                              ? () =>
+                                  startLongPress(rowId, cellColumnName, row)
+                              : undefined
+                          }
+                          onTouchEnd={isWriteback ? cancelLongPress : undefined}
+                          onTouchMove={isWriteback ? cancelLongPress : undefined}
                         >
                           {cellContent}
                         </td>
@@ -2245,7 +4241,7 @@ export default function WritebackTable({
         }}
       >
         <div>
-          {sortBy !== null && (
+          {(writebackSort || engineSort) && (
             <button
               onClick={resetSort}
               style={{
@@ -2317,8 +4313,14 @@ export default function WritebackTable({
           }}
         >
           <div>
-            Showing {pagedRows.length} of {displayRows.length} rows
+            Showing {pagedRows.length} of {totalRowCount} rows
+            {isFetchingRows && <span> • Loading rows...</span>}
           </div>
+          {rowFetchError && (
+            <div style={{ color: "#dc3545", fontSize: 11, marginTop: 2 }}>
+              ⚠️ Could not load rows: {rowFetchError}
+            </div>
+          )}
           <div style={{ fontSize: 11, marginTop: 2 }}>
             {currentMode === "edit" && hasActiveWriteback ? (
               <span>
@@ -2326,8 +4328,8 @@ export default function WritebackTable({
                 {hasUnsavedChanges &&
                   writebackConfig.showChangeCounter !== false && (
                     <span style={{ color: "#dc3545", marginLeft: "8px" }}>
-                      {Object.keys(editedData).length} unsaved change
-                      {Object.keys(editedData).length !== 1 ? "s" : ""}
+                      {countEdits(editedData)} unsaved change
+                      {countEdits(editedData) !== 1 ? "s" : ""}
                     </span>
                   )}
                 {!hasUnsavedChanges && (
@@ -2372,6 +4374,11 @@ export default function WritebackTable({
         </div>
       </div>
 
+      {renderChangeReasonDialog()}
+      {renderSavePreviewDialog()}
+      {renderCellHistoryPanel()}
+      {renderDiagnosticsDrawer()}
+
       {/* User Collaboration Panel */}
       <UserCollaborationPanel
         isOpen={showUserPanel}
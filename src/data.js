@@ -2,8 +2,8 @@ export default {
   targets: [
     {
       path: "/qHyperCubeDef",
-      dimensions: { min: 0, max: 10 },
-      measures: { min: 0, max: 10 },
+      dimensions: { min: 0, max: 20 },
+      measures: { min: 0, max: 20 },
     },
   ],
 };
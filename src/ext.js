@@ -1,3 +1,15 @@
+import {
+  runConnectionTest,
+  getConnectionTestResult,
+  formatConnectionTestResult,
+} from "./utils/connectionTest";
+import {
+  generateTableDDLForObject,
+  getGeneratedDDL,
+  formatGeneratedDDL,
+} from "./utils/tableSchema";
+import { getDbColumnName } from "./utils/saveService";
+
 export default function ext(galaxy) {
   return {
     definition: {
@@ -132,6 +144,66 @@ export default function ext(galaxy) {
                 return data.writebackConfig && data.writebackConfig.enabled;
               },
             },
+            tableName: {
+              type: "string",
+              label: "Database Table Name",
+              ref: "writebackConfig.tableName",
+              defaultValue: "writeback_data",
+              placeholder: "writeback_data or schema.table",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+            },
+            auditTableName: {
+              type: "string",
+              label: "Change Log Table Name",
+              ref: "writebackConfig.auditTableName",
+              defaultValue: "",
+              placeholder: "Defaults to <table name>_changes",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+            },
+            sqlDialect: {
+              type: "string",
+              label: "SQL Dialect",
+              ref: "writebackConfig.sqlDialect",
+              component: "dropdown",
+              options: [
+                { value: "postgres", label: "PostgreSQL" },
+                { value: "snowflake", label: "Snowflake" },
+                { value: "sqlserver", label: "SQL Server" },
+                { value: "mysql", label: "MySQL" },
+              ],
+              defaultValue: "postgres",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+            },
+            displayTimeZone: {
+              type: "string",
+              label: "Display Timezone",
+              ref: "writebackConfig.displayTimeZone",
+              defaultValue: "",
+              placeholder: "Browser timezone (e.g. Europe/Berlin, UTC)",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+            },
+            identityFallback: {
+              type: "string",
+              label: "Without a Signed-in User",
+              ref: "writebackConfig.identityFallback",
+              component: "dropdown",
+              options: [
+                { value: "session", label: "Save as anonymous session user" },
+                { value: "refuse", label: "Refuse to save" },
+              ],
+              defaultValue: "session",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+            },
             writebackColumns: {
               type: "array",
               label: "Writeback Columns",
@@ -153,6 +225,25 @@ export default function ext(galaxy) {
                   defaultValue: "",
                   placeholder: "Enter column name (e.g., NOTES, STATUS)",
                 },
+                dbColumn: {
+                  type: "string",
+                  label: "Database Column",
+                  ref: "dbColumn",
+                  defaultValue: "",
+                  placeholder: "Defaults to the column name in snake_case",
+                },
+                dbColumnInfo: {
+                  component: "text",
+                  label: function (data) {
+                    try {
+                      return `Saved to database column: ${
+                        getDbColumnName(data) || "(set a column name)"
+                      }`;
+                    } catch (error) {
+                      return error.message;
+                    }
+                  },
+                },
                 columnType: {
                   type: "string",
                   label: "Input Type",
@@ -195,6 +286,12 @@ export default function ext(galaxy) {
                   ref: "required",
                   defaultValue: false,
                 },
+                requireReason: {
+                  type: "boolean",
+                  label: "Require Reason for Change",
+                  ref: "requireReason",
+                  defaultValue: false,
+                },
                 width: {
                   type: "string",
                   label: "Column Width (px)",
@@ -314,12 +411,171 @@ export default function ext(galaxy) {
                 },
                 confirmBeforeSave: {
                   type: "boolean",
-                  label: "Confirm Before Save",
+                  label: "Review Changes Before Save",
                   ref: "writebackConfig.confirmBeforeSave",
                   defaultValue: false,
                 },
               },
             },
+            tableSchema: {
+              type: "items",
+              label: "Database Table",
+              show: function (data) {
+                return data.writebackConfig && data.writebackConfig.enabled;
+              },
+              items: {
+                generateDdl: {
+                  component: "button",
+                  label: "Generate table DDL",
+                  action: function (data) {
+                    return generateTableDDLForObject(data);
+                  },
+                },
+                ddlOutput: {
+                  component: "text",
+                  label: function (data) {
+                    return formatGeneratedDDL(
+                      getGeneratedDDL(data.qInfo && data.qInfo.qId)
+                    );
+                  },
+                },
+              },
+            },
+          },
+        },
+        storage: {
+          type: "items",
+          label: "Storage",
+          items: {
+            storageAdapter: {
+              type: "string",
+              label: "Storage Adapter",
+              ref: "storage.adapter",
+              component: "dropdown",
+              options: [
+                { value: "automation", label: "Qlik Automation Webhook" },
+                { value: "rest", label: "REST/JSON Endpoint" },
+                { value: "local", label: "Browser Local Storage (Demo)" },
+              ],
+              defaultValue: "automation",
+            },
+            restUrl: {
+              type: "string",
+              label: "REST Endpoint Base URL",
+              ref: "storage.restUrl",
+              defaultValue: "",
+              placeholder: "https://example.com/api/writeback",
+              show: function (data) {
+                return data.storage && data.storage.adapter === "rest";
+              },
+            },
+            restInfo: {
+              component: "text",
+              label: "Information",
+              style: "hint",
+              defaultValue:
+                "The REST backend must expose POST /save, GET /load, GET /history, GET /schema and GET /health. GET /schema lists the table's columns for the schema check.",
+              show: function (data) {
+                return data.storage && data.storage.adapter === "rest";
+              },
+            },
+            localInfo: {
+              component: "text",
+              label: "Information",
+              style: "hint",
+              defaultValue:
+                "Local storage keeps writeback data in this browser only. Use it for demos and tests.",
+              show: function (data) {
+                return data.storage && data.storage.adapter === "local";
+              },
+            },
+          },
+        },
+        connection: {
+          type: "items",
+          label: "Connection",
+          items: {
+            saveUrl: {
+              type: "string",
+              label: "Save Endpoint URL",
+              ref: "connection.saveUrl",
+              defaultValue: "",
+              placeholder: "https://tenant.qlikcloud.com/api/v1/automations/.../actions/execute",
+              show: function (data) {
+                return !data.storage || data.storage.adapter === "automation";
+              },
+            },
+            readUrl: {
+              type: "string",
+              label: "Read Endpoint URL",
+              ref: "connection.readUrl",
+              defaultValue: "",
+              placeholder: "https://tenant.qlikcloud.com/api/v1/automations/.../actions/execute",
+              show: function (data) {
+                return !data.storage || data.storage.adapter === "automation";
+              },
+            },
+            authMode: {
+              type: "string",
+              label: "Authentication",
+              ref: "connection.authMode",
+              component: "dropdown",
+              options: [
+                { value: "execution-token", label: "Execution Token Header" },
+                { value: "bearer", label: "Bearer Token" },
+                { value: "session", label: "Browser Session (Cookies)" },
+                { value: "none", label: "None" },
+              ],
+              defaultValue: "execution-token",
+              show: function (data) {
+                return !data.storage || data.storage.adapter !== "local";
+              },
+            },
+            tokenVariable: {
+              type: "string",
+              label: "Token Variable Name",
+              ref: "connection.tokenVariable",
+              defaultValue: "",
+              placeholder: "vWritebackToken",
+              show: function (data) {
+                return (
+                  (!data.storage || data.storage.adapter !== "local") &&
+                  (!data.connection ||
+                    data.connection.authMode === "execution-token" ||
+                    data.connection.authMode === "bearer")
+                );
+              },
+            },
+            tokenInfo: {
+              component: "text",
+              label: "Information",
+              style: "hint",
+              defaultValue:
+                "Enter the name of a Qlik variable that holds the token, not the token itself. The token is read when requests are sent and is only ever shown masked.",
+              show: function (data) {
+                return (
+                  (!data.storage || data.storage.adapter !== "local") &&
+                  (!data.connection ||
+                    data.connection.authMode === "execution-token" ||
+                    data.connection.authMode === "bearer")
+                );
+              },
+            },
+            testConnection: {
+              component: "button",
+              label: "Test connection",
+              action: function (data) {
+                return runConnectionTest(data);
+              },
+            },
+            testResult: {
+              component: "text",
+              label: function (data) {
+                return formatConnectionTestResult(
+                  getConnectionTestResult(data.qInfo && data.qInfo.qId)
+                );
+              },
+            },
           },
         },
         settings: {
@@ -11,6 +11,7 @@ import ext from "./ext";
 
 // Import the modular WritebackTable React component
 import WritebackTable from "./components/writebackTable.jsx";
+import { configureLogger } from "./utils/logger";
 
 /**
  * Main supernova export for the Qlik extension
@@ -36,14 +37,25 @@ export default function supernova(galaxy) {
       // Qlik selections object for hypercube selections (correct approach for nebula.js)
       const selections = useSelections();
 
-      // Renders the WritebackTable every time dependencies change
+      // Create one long-lived React root for this element; it is only
+      // unmounted when the extension itself is destroyed, so table state
+      // (pending edits, sort, page, presence) survives layout updates
       useEffect(() => {
-        // Unmount previous React root if it exists (prevents memory leaks)
-        if (element.__root) {
-          element.__root.unmount();
-        }
-        // Create and render new React root using WritebackTable with all required objects
         element.__root = ReactDOM.createRoot(element);
+        return () => {
+          if (element.__root) {
+            element.__root.unmount();
+            element.__root = null;
+          }
+        };
+      }, [element]);
+
+      // Pass fresh props into the existing root whenever Qlik updates them
+      useEffect(() => {
+        if (!element.__root) {
+          return;
+        }
+        configureLogger(layout);
         element.__root.render(
           <WritebackTable 
             layout={layout} 
@@ -53,14 +65,7 @@ export default function supernova(galaxy) {
             pageSize={100} 
           />
         );
-        // Cleanup: unmount on component unmount or re-render
-        return () => {
-          if (element.__root) {
-            element.__root.unmount();
-            element.__root = null;
-          }
-        };
-      }, [element, layout, app, model, selections]); // Added selections to dependency array
+      }, [element, layout, app, model, selections]);
     },
   };
 }
\ No newline at end of file
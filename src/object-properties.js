@@ -2,7 +2,7 @@ export default {
   qHyperCubeDef: {
     qDimensions: [],
     qMeasures: [],
-    qInitialDataFetch: [{ qWidth: 10, qHeight: 1000 }],
+    qInitialDataFetch: [{ qWidth: 40, qHeight: 250 }],
   },
   showTitles: true,
   title: "",
@@ -21,6 +21,31 @@ export default {
   // Dynamic Writeback Configuration - starts empty
   writebackConfig: {
     enabled: false,
+    tableName: "writeback_data",
+    auditTableName: "",
+    displayTimeZone: "",
+    sqlDialect: "postgres",
+    identityFallback: "session",
     columns: [],
   },
+
+  // Storage backend used by the save and read services
+  storage: {
+    adapter: "automation",
+    restUrl: "",
+  },
+
+  // Endpoints and auth for the storage backend; tokens are referenced by
+  // Qlik variable name, never stored here
+  connection: {
+    saveUrl: "",
+    readUrl: "",
+    authMode: "execution-token",
+    tokenVariable: "",
+  },
+
+  // Hidden from the property panel - see utils/logger.js
+  logging: {
+    level: "warn",
+  },
 };
@@ -0,0 +1,95 @@
+// utils/connectionConfig.js - Runtime connection settings from the property panel
+import { createLogger } from "./logger";
+
+const log = createLogger("connection");
+
+/**
+ * Connection settings live in the object properties under `connection`:
+ *   { saveUrl, readUrl, authMode, tokenVariable }
+ *
+ * Tokens are never stored in the properties (every viewer of the sheet can
+ * read those). tokenVariable names a Qlik variable that holds the token; it
+ * is resolved when a request is sent and only ever shown masked.
+ */
+
+export const AUTH_MODES = {
+  NONE: "none",
+  EXECUTION_TOKEN: "execution-token",
+  BEARER: "bearer",
+  SESSION: "session",
+};
+
+/**
+ * Get connection settings from layout (or properties)
+ */
+export function getConnectionConfig(layout) {
+  const connection = layout?.connection || {};
+
+  return {
+    saveUrl: (connection.saveUrl || "").trim(),
+    readUrl: (connection.readUrl || "").trim(),
+    authMode: connection.authMode || AUTH_MODES.EXECUTION_TOKEN,
+    tokenVariable: (connection.tokenVariable || "").trim(),
+  };
+}
+
+/**
+ * Check whether the auth mode sends a token
+ */
+export function usesToken(config) {
+  return (
+    config.authMode === AUTH_MODES.EXECUTION_TOKEN ||
+    config.authMode === AUTH_MODES.BEARER
+  );
+}
+
+/**
+ * Read the token from the Qlik variable named in the settings.
+ * Resolves to null when no variable is set or it cannot be read.
+ */
+export async function resolveToken(app, config) {
+  if (!usesToken(config) || !config.tokenVariable) return null;
+  if (!app || typeof app.getVariableByName !== "function") return null;
+
+  try {
+    const variable = await app.getVariableByName(config.tokenVariable);
+    const variableLayout = await variable.getLayout();
+    const token = (variableLayout.qText || "").trim();
+    return token || null;
+  } catch (error) {
+    log.warn(`Could not read token variable "${config.tokenVariable}"`, error);
+    return null;
+  }
+}
+
+/**
+ * Build the fetch options (headers, credentials) for the auth mode
+ */
+export async function getAuthOptions(app, config) {
+  switch (config.authMode) {
+    case AUTH_MODES.NONE:
+      return { headers: {} };
+    case AUTH_MODES.SESSION:
+      return { headers: {}, credentials: "include" };
+    case AUTH_MODES.BEARER: {
+      const token = await resolveToken(app, config);
+      return {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      };
+    }
+    case AUTH_MODES.EXECUTION_TOKEN:
+    default: {
+      const token = await resolveToken(app, config);
+      return { headers: token ? { "X-Execution-Token": token } : {} };
+    }
+  }
+}
+
+/**
+ * Mask a token for display - keeps only enough to tell tokens apart
+ */
+export function maskToken(token) {
+  if (!token) return "";
+  if (token.length <= 8) return "••••••••";
+  return `${token.slice(0, 2)}••••••••${token.slice(-2)}`;
+}
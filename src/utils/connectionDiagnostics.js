@@ -0,0 +1,117 @@
+// utils/connectionDiagnostics.js - Last request timings and response shapes
+import { createLogger } from "./logger";
+
+const log = createLogger("connection");
+
+/**
+ * Storage adapters record every save and read request here: endpoint,
+ * HTTP status, latency and how the response body was understood. The
+ * diagnostics drawer reads the latest entry per kind ("save" / "read").
+ *
+ * Response shapes:
+ *   "json"          - parsed as a JSON object
+ *   "json-array"    - JSON array, first element used
+ *   "string-parse"  - JSON parse failed or yielded a string; fields were
+ *                     extracted with the string fallback
+ *   "text"          - plain-text body (save responses only)
+ */
+
+const lastRequests = {};
+const listeners = new Set();
+
+/**
+ * Latest request per kind: { save, read }
+ */
+export function getRequestDiagnostics() {
+  return {
+    save: lastRequests.save || null,
+    read: lastRequests.read || null,
+  };
+}
+
+function notifyListeners() {
+  const snapshot = getRequestDiagnostics();
+  listeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      log.error("Error in diagnostics listener", error);
+    }
+  });
+}
+
+/**
+ * Record a finished request, replacing the previous one of the same kind
+ */
+export function recordRequest(kind, details) {
+  lastRequests[kind] = {
+    kind,
+    url: null,
+    status: null,
+    ok: false,
+    durationMs: null,
+    shape: null,
+    error: null,
+    at: new Date().toISOString(),
+    ...details,
+  };
+  notifyListeners();
+}
+
+/**
+ * Note how the body of the last request of a kind was parsed
+ */
+export function recordResponseShape(kind, shape) {
+  if (!lastRequests[kind]) return;
+  lastRequests[kind] = { ...lastRequests[kind], shape };
+  notifyListeners();
+}
+
+/**
+ * fetch() that records status and latency for the diagnostics drawer
+ */
+export async function timedFetch(kind, url, options) {
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(url, options);
+    recordRequest(kind, {
+      url,
+      status: response.status,
+      ok: response.ok,
+      durationMs: Date.now() - startedAt,
+    });
+    return response;
+  } catch (error) {
+    recordRequest(kind, {
+      url,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to request updates; returns an unsubscribe function
+ */
+export function subscribeRequestDiagnostics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Whether the current user may edit the app (and so sees diagnostics)
+ */
+export async function isAppAuthor(app) {
+  if (!app || typeof app.getAppLayout !== "function") return false;
+
+  try {
+    const appLayout = await app.getAppLayout();
+    const privileges = appLayout?.qMeta?.privileges || [];
+    return privileges.includes("update");
+  } catch (error) {
+    log.warn("Could not read app privileges", error);
+    return false;
+  }
+}
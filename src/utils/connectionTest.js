@@ -0,0 +1,123 @@
+// utils/connectionTest.js - "Test connection" button in the property panel
+
+import { testDatabaseConnection } from "./saveService";
+import { testReadConnection } from "./readService";
+import {
+  getConnectionConfig,
+  resolveToken,
+  maskToken,
+  usesToken,
+} from "./connectionConfig";
+import { createLogger } from "./logger";
+
+const log = createLogger("connection");
+
+/**
+ * The property panel button only receives the object properties, so the
+ * rendered table registers its app here and the button runs the tests
+ * through it. Results are kept per object id for the panel and the table
+ * to show inline.
+ */
+
+const targets = new Map(); // objectId -> app
+const results = new Map(); // objectId -> last test result
+const listeners = new Set();
+
+function setResult(objectId, result) {
+  results.set(objectId, result);
+  listeners.forEach((listener) => {
+    try {
+      listener(objectId, result);
+    } catch (error) {
+      log.error("Error in connection test listener", error);
+    }
+  });
+}
+
+/**
+ * Describe the token in use without revealing it
+ */
+async function describeToken(properties, app) {
+  const config = getConnectionConfig(properties);
+  if (!usesToken(config)) return null;
+  if (!config.tokenVariable) return "Token: none configured";
+
+  const token = await resolveToken(app, config);
+  return token
+    ? `Token: ${maskToken(token)} (from ${config.tokenVariable})`
+    : `Token: variable ${config.tokenVariable} is empty or missing`;
+}
+
+/**
+ * Register the app a rendered object tests through; returns an unregister
+ * function
+ */
+export function registerConnectionTarget(objectId, app) {
+  targets.set(objectId, app);
+  return () => {
+    if (targets.get(objectId) === app) targets.delete(objectId);
+  };
+}
+
+/**
+ * Run the save and read connection tests for the given properties
+ */
+export async function runConnectionTest(properties) {
+  const objectId = properties?.qInfo?.qId;
+  const app = targets.get(objectId) || null;
+
+  setResult(objectId, { status: "running" });
+
+  const [save, read, tokenInfo] = await Promise.all([
+    testDatabaseConnection(properties, app),
+    testReadConnection(properties, app),
+    describeToken(properties, app),
+  ]);
+
+  const result = {
+    status: save.success && read.success ? "ok" : "failed",
+    save,
+    read,
+    token: tokenInfo,
+    testedAt: new Date().toISOString(),
+  };
+  setResult(objectId, result);
+  return result;
+}
+
+/**
+ * Get the last test result for an object, or null
+ */
+export function getConnectionTestResult(objectId) {
+  return results.get(objectId) || null;
+}
+
+/**
+ * One-line summary of a test result for inline display
+ */
+export function formatConnectionTestResult(result) {
+  if (!result) return "Not tested yet.";
+  if (result.status === "running") return "Testing connection...";
+
+  const describe = (label, test) => {
+    if (!test.success) return `${label}: failed - ${test.error || test.message}`;
+    return `${label}: OK${test.status ? ` (HTTP ${test.status})` : ""}`;
+  };
+
+  return [
+    describe("Save", result.save),
+    describe("Read", result.read),
+    result.token,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+/**
+ * Subscribe to test results: listener(objectId, result). Returns an
+ * unsubscribe function.
+ */
+export function subscribeConnectionTests(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -1,4 +1,5 @@
 // utils/dynamicColumnsUtils.js - Dynamic column management
+import { getRows } from "./hypercubeUtils";
 
 /**
  * Get all columns including dynamically added writeback columns
@@ -44,10 +45,10 @@ export function getWritebackColumns(layout) {
 }
 
 /**
- * Get enhanced rows with writeback column placeholders
+ * Get enhanced rows with writeback column placeholders. Pass baseRows to
+ * include rows fetched after the initial layout.
  */
-export function getEnhancedRows(layout) {
-  const baseRows = getBaseRows(layout);
+export function getEnhancedRows(layout, baseRows = getBaseRows(layout)) {
   const writebackColumns = getWritebackColumns(layout);
 
   if (writebackColumns.length === 0) {
@@ -75,10 +76,10 @@ export function getEnhancedRows(layout) {
 }
 
 /**
- * Get base rows from hypercube
+ * Get base rows from hypercube (all data pages in the layout)
  */
 export function getBaseRows(layout) {
-  return layout?.qHyperCube?.qDataPages?.[0]?.qMatrix || [];
+  return getRows(layout);
 }
 
 /**
@@ -0,0 +1,185 @@
+// utils/editStore.js - Writeback values keyed by row key and column
+
+/**
+ * An edit store is a plain object shaped as
+ *   { [rowKey]: { row, version, values: { [columnName]: value } } }
+ * where rowKey is the generateRowKey composite key, row is a snapshot of
+ * the base hypercube cells the key was generated from and version is the
+ * stored record version (null when unknown or not stored yet). Stores are
+ * immutable: every helper returns a new store, so they can live in React
+ * state.
+ */
+export function createEditStore() {
+  return {};
+}
+
+/**
+ * Set a value for a row/column, keeping the row snapshot for saving
+ */
+export function setEdit(store, rowKey, columnName, value, row) {
+  const entry = store[rowKey] || { row: null, version: null, values: {} };
+
+  return {
+    ...store,
+    [rowKey]: {
+      row: row || entry.row,
+      version: entry.version ?? null,
+      values: { ...entry.values, [columnName]: value },
+    },
+  };
+}
+
+/**
+ * Set the stored record version for a row, creating the entry if needed
+ */
+export function setRowVersion(store, rowKey, version, row) {
+  const entry = store[rowKey] || { row: null, version: null, values: {} };
+
+  return {
+    ...store,
+    [rowKey]: { ...entry, row: row || entry.row, version },
+  };
+}
+
+/**
+ * Get the stored record version for a row, or null when unknown
+ */
+export function getRowVersion(store, rowKey) {
+  return store?.[rowKey]?.version ?? null;
+}
+
+/**
+ * Attach each row's stored state from `source` (the loaded/saved store) -
+ * the version the user's edits were based on, and the stored values as
+ * `base` so a save keeps the columns the user did not edit
+ */
+export function withStoredRows(store, source) {
+  const next = {};
+  Object.entries(store).forEach(([rowKey, entry]) => {
+    next[rowKey] = {
+      ...entry,
+      version: getRowVersion(source, rowKey),
+      base: source?.[rowKey]?.values || {},
+    };
+  });
+  return next;
+}
+
+/**
+ * Get the value for a row/column, or undefined when not set
+ */
+export function getEdit(store, rowKey, columnName) {
+  const entry = store?.[rowKey];
+  if (
+    !entry ||
+    !Object.prototype.hasOwnProperty.call(entry.values, columnName)
+  ) {
+    return undefined;
+  }
+  return entry.values[columnName];
+}
+
+/**
+ * Check whether a row/column has a value in the store
+ */
+export function hasEdit(store, rowKey, columnName) {
+  return getEdit(store, rowKey, columnName) !== undefined;
+}
+
+/**
+ * Remove a single row/column value
+ */
+export function removeEdit(store, rowKey, columnName) {
+  const entry = store[rowKey];
+  if (!entry) return store;
+
+  const values = { ...entry.values };
+  delete values[columnName];
+
+  const next = { ...store };
+  if (Object.keys(values).length === 0) {
+    delete next[rowKey];
+  } else {
+    next[rowKey] = { ...entry, values };
+  }
+  return next;
+}
+
+/**
+ * Keep only the given row keys
+ */
+export function pickRows(store, rowKeys) {
+  const next = {};
+  rowKeys.forEach((rowKey) => {
+    if (store[rowKey]) next[rowKey] = store[rowKey];
+  });
+  return next;
+}
+
+/**
+ * Drop the given row keys
+ */
+export function omitRows(store, rowKeys) {
+  const next = { ...store };
+  rowKeys.forEach((rowKey) => {
+    delete next[rowKey];
+  });
+  return next;
+}
+
+/**
+ * Overlay one store on another - values in `overlay` win per column
+ */
+export function mergeEditStores(base, overlay) {
+  const next = { ...base };
+
+  Object.entries(overlay).forEach(([rowKey, entry]) => {
+    const existing = next[rowKey];
+    next[rowKey] = {
+      row: entry.row || existing?.row || null,
+      version: entry.version ?? existing?.version ?? null,
+      values: { ...(existing?.values || {}), ...entry.values },
+    };
+  });
+
+  return next;
+}
+
+/**
+ * Flatten the store into { rowKey, columnName, value } entries
+ */
+export function listEdits(store) {
+  return Object.entries(store).flatMap(([rowKey, entry]) =>
+    Object.entries(entry.values).map(([columnName, value]) => ({
+      rowKey,
+      columnName,
+      value,
+    }))
+  );
+}
+
+/**
+ * Count individual row/column values in the store
+ */
+export function countEdits(store) {
+  return Object.values(store).reduce(
+    (total, entry) => total + Object.keys(entry.values).length,
+    0
+  );
+}
+
+/**
+ * Re-key every entry from its row snapshot - used when the key definition
+ * changes so pending edits land on the same rows under their new keys.
+ * getRowKey may return null to keep an entry under its current key.
+ */
+export function rekeyEditStore(store, getRowKey) {
+  let next = {};
+
+  Object.entries(store).forEach(([rowKey, entry]) => {
+    const newKey = (entry.row && getRowKey(entry.row)) || rowKey;
+    next = mergeEditStores(next, { [newKey]: entry });
+  });
+
+  return next;
+}
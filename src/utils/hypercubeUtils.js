@@ -1,3 +1,6 @@
+// Engine limit: one data page request may hold at most 10,000 cells
+const MAX_CELLS_PER_REQUEST = 10000;
+
 // Extract header labels from hypercube layout
 export function getColumns(layout) {
   if (
@@ -13,7 +16,55 @@ export function getColumns(layout) {
   ].map((f) => f.qFallbackTitle);
 }
 
-// Extract row matrix from hypercube layout
+// Extract row matrix from hypercube layout. Only full-width pages that
+// continue from the top are used, so the result is a contiguous block of
+// rows starting at row 0.
 export function getRows(layout) {
-  return layout?.qHyperCube?.qDataPages?.[0]?.qMatrix || [];
+  const { columns } = getHyperCubeSize(layout);
+  const rows = [];
+
+  (layout?.qHyperCube?.qDataPages || []).forEach((dataPage) => {
+    const area = dataPage.qArea || {};
+    const isContiguous = (area.qTop || 0) === rows.length;
+    const isFullWidth =
+      !area.qWidth || ((area.qLeft || 0) === 0 && area.qWidth >= columns);
+
+    if (isContiguous && isFullWidth) {
+      rows.push(...(dataPage.qMatrix || []));
+    }
+  });
+
+  return rows;
+}
+
+// Total rows and columns in the hypercube, as reported by the engine
+export function getHyperCubeSize(layout) {
+  const qSize = layout?.qHyperCube?.qSize || {};
+  return { rows: qSize.qcy || 0, columns: qSize.qcx || 0 };
+}
+
+// Fetch rows [qTop, qTop + qHeight) with every column, split into requests
+// that stay below the engine's per-request cell limit
+export async function fetchHyperCubeRows(model, layout, qTop, qHeight) {
+  const { rows: totalRows, columns } = getHyperCubeSize(layout);
+  const end = Math.min(qTop + qHeight, totalRows);
+  const blockHeight = Math.max(
+    1,
+    Math.floor(MAX_CELLS_PER_REQUEST / Math.max(columns, 1))
+  );
+  const rows = [];
+
+  for (let top = qTop; top < end; top += blockHeight) {
+    const dataPages = await model.getHyperCubeData("/qHyperCubeDef", [
+      {
+        qTop: top,
+        qLeft: 0,
+        qWidth: columns,
+        qHeight: Math.min(blockHeight, end - top),
+      },
+    ]);
+    rows.push(...((dataPages[0] && dataPages[0].qMatrix) || []));
+  }
+
+  return rows;
 }
@@ -27,6 +27,15 @@ export function getActiveKeyDimensions(layout, columns) {
     .sort((a, b) => (a.keyOrder || 1) - (b.keyOrder || 1));
 }
 
+/**
+ * A key column's value as text - the cell's qText for dimensions and
+ * measures alike. Row keys, saved key columns and the keys of loaded
+ * records all use it, so a stored record always maps back to its row.
+ */
+export function getKeyValueFromRow(row, index) {
+  return (row[index] && row[index].qText) || null;
+}
+
 /**
  * Generate unique key for a row based on key dimensions
  */
@@ -35,8 +44,12 @@ export function generateRowKey(row, layout, columns) {
   const activeKeyDimensions = getActiveKeyDimensions(layout, columns);
 
   if (activeKeyDimensions.length === 0) {
-    // Fallback to using first few columns if no key dimensions configured
-    return generateFallbackKey(row, columns);
+    // Fallback to using first few dimensions if no key dimensions configured
+    return generateFallbackKey(
+      row,
+      columns,
+      (layout?.qHyperCube?.qDimensionInfo || []).length
+    );
   }
 
   const keyValues = [];
@@ -46,7 +59,7 @@ export function generateRowKey(row, layout, columns) {
       (col) => col === keyDim.dimensionName
     );
     if (columnIndex >= 0 && row[columnIndex]) {
-      keyValues.push(row[columnIndex].qText || "");
+      keyValues.push(getKeyValueFromRow(row, columnIndex) || "");
     }
   });
 
@@ -89,19 +102,28 @@ export function generateHashKey(values) {
 /**
  * Fallback key generation when no key dimensions configured
  */
-export function generateFallbackKey(row, columns) {
+export function generateFallbackKey(row, columns, dimensionCount) {
   const keyValues = [];
 
-  // Use first 3 columns as fallback key
-  for (let i = 0; i < Math.min(3, row.length); i++) {
-    if (row[i] && row[i].qText) {
-      keyValues.push(row[i].qText);
+  getFallbackKeyColumns(columns, dimensionCount).forEach((column, i) => {
+    const value = getKeyValueFromRow(row, i);
+    if (value) {
+      keyValues.push(value);
     }
-  }
+  });
 
   return keyValues.join("|");
 }
 
+/**
+ * Columns that identify a row when no key dimensions are configured: the
+ * first three dimensions. Measures change with every reload, so they never
+ * key a row. Row keys and the stored record's key columns both use them.
+ */
+export function getFallbackKeyColumns(columns, dimensionCount) {
+  return columns.slice(0, Math.min(3, dimensionCount));
+}
+
 /**
  * Validate key uniqueness in dataset
  */
@@ -150,7 +172,8 @@ export function getKeyValues(row, layout, columns) {
       (col) => col === keyDim.dimensionName
     );
     if (columnIndex >= 0 && row[columnIndex]) {
-      keyValues[keyDim.dimensionName] = row[columnIndex].qText || "";
+      keyValues[keyDim.dimensionName] =
+        getKeyValueFromRow(row, columnIndex) || "";
     }
   });
 
@@ -179,17 +202,6 @@ export function getKeyDimensionInfo(columnName, layout) {
   );
 }
 
-/**
- * Create enhanced row ID that includes both key and fallback
- */
-export function createEnhancedRowId(row, index, layout, columns) {
-  const keyDimensionKey = generateRowKey(row, layout, columns);
-  const fallbackKey = `row-${index}`;
-
-  // Combine key dimension key with fallback for maximum uniqueness
-  return `${keyDimensionKey}|${fallbackKey}`;
-}
-
 /**
  * Get key dimensions summary for display
  */
@@ -0,0 +1,196 @@
+// utils/logger.js - Leveled, namespaced logging with redaction
+
+/**
+ * Usage:
+ *   const log = createLogger("save");
+ *   log.debug("Sending batch", { recordCount, user });
+ *
+ * Levels, quietest first: silent, error, warn, info, debug. The default is
+ * "warn" so production dashboards only report problems. Two switches raise
+ * it for debugging:
+ *   - the hidden `logging.level` object property (not in the property
+ *     panel; authors set it through the object's properties JSON)
+ *   - the URL flag `?writebackLog=debug`, optionally limited to categories:
+ *     `?writebackLog=debug:save,presence`. The URL flag wins.
+ *
+ * Objects passed to a logger are redacted before they reach the console:
+ * user identities and secrets are masked and cell values are replaced by a
+ * summary. Add `&writebackLogValues=1` to keep cell values while debugging;
+ * identities and secrets are always masked.
+ */
+
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+};
+
+const DEFAULT_LEVEL = "warn";
+const URL_FLAG = "writebackLog";
+const URL_VALUES_FLAG = "writebackLogValues";
+
+const SECRET_KEYS = /token|authorization|password|secret|cookie/i;
+const USER_KEYS = new Set([
+  "user",
+  "userId",
+  "userDirectory",
+  "displayName",
+  "email",
+  "currentUser",
+  "savedBy",
+  "createdBy",
+  "modifiedBy",
+  "created_by",
+  "modified_by",
+  "changed_by",
+]);
+const VALUE_KEYS = new Set([
+  "values",
+  "base",
+  "rows",
+  "parameters",
+  "csvContent",
+  "editedData",
+  "value",
+  "oldValue",
+  "newValue",
+  "previousValue",
+  "edits",
+]);
+const MAX_DEPTH = 6;
+
+const settings = {
+  level: DEFAULT_LEVEL,
+  categories: null, // null = all categories
+  keepValues: false,
+};
+
+function isLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+}
+
+function readUrlFlags() {
+  const flags = { level: null, categories: null, keepValues: false };
+  if (typeof window === "undefined" || !window.location) return flags;
+
+  try {
+    const params = new URLSearchParams(window.location.search);
+    const flag = params.get(URL_FLAG);
+    if (flag) {
+      const [level, categories] = flag.split(":");
+      if (isLevel(level)) {
+        flags.level = level;
+        flags.categories = categories
+          ? categories.split(",").map((category) => category.trim())
+          : null;
+      }
+    }
+    flags.keepValues = params.get(URL_VALUES_FLAG) === "1";
+  } catch (error) {
+    // Malformed URL - keep defaults
+  }
+  return flags;
+}
+
+function isEnabled(category, level) {
+  if (LOG_LEVELS[level] > LOG_LEVELS[settings.level]) return false;
+  // Errors always pass the category filter
+  if (level === "error" || !settings.categories) return true;
+  return settings.categories.includes(category);
+}
+
+function summarize(value) {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return `[${value.length} redacted]`;
+  if (typeof value === "object") {
+    return `[${Object.keys(value).length} redacted]`;
+  }
+  return "[redacted]";
+}
+
+/**
+ * Copy a value with identities, secrets and (by default) cell values masked
+ */
+export function redact(value, depth = 0, key = null) {
+  if (key !== null) {
+    if (SECRET_KEYS.test(key) || USER_KEYS.has(key)) {
+      return value === null || value === undefined ? value : "[redacted]";
+    }
+    if (VALUE_KEYS.has(key) && !settings.keepValues) {
+      return summarize(value);
+    }
+  }
+
+  if (value instanceof Error) {
+    return value.message;
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([childKey, child]) => {
+    copy[childKey] = redact(child, depth + 1, childKey);
+  });
+  return copy;
+}
+
+/**
+ * Apply the logging settings from layout and the URL flags.
+ * Call whenever the layout changes.
+ */
+export function configureLogger(layout) {
+  const urlFlags = readUrlFlags();
+  const propertyLevel = layout?.logging?.level;
+
+  if (urlFlags.level) {
+    settings.level = urlFlags.level;
+    settings.categories = urlFlags.categories;
+  } else {
+    settings.level = isLevel(propertyLevel) ? propertyLevel : DEFAULT_LEVEL;
+    settings.categories = null;
+  }
+  settings.keepValues = urlFlags.keepValues;
+}
+
+/**
+ * Get the active settings: { level, categories, keepValues }
+ */
+export function getLoggerSettings() {
+  return { ...settings };
+}
+
+/**
+ * Create a logger for one category (save, read, presence, selection, ...)
+ */
+export function createLogger(category) {
+  const prefix = `[writeback:${category}]`;
+
+  const write = (level, method) => (message, ...details) => {
+    if (!isEnabled(category, level)) return;
+    console[method](
+      prefix,
+      message,
+      ...details.map((detail) => redact(detail))
+    );
+  };
+
+  return {
+    error: write("error", "error"),
+    warn: write("warn", "warn"),
+    info: write("info", "info"),
+    debug: write("debug", "log"),
+    isDebugEnabled: () => isEnabled(category, "debug"),
+  };
+}
+
+// Honour the URL flag before the first layout arrives
+configureLogger();
@@ -1,224 +1,94 @@
 // utils/readService.js - Writeback Read Service
-import ENV from "../config/env.js";
+import { getStorageAdapter } from "./storageAdapters";
+import {
+  analyzeModelStructure,
+  convertToDbColumnName,
+  getWritebackColumnTypes,
+  getWritebackColumnMapping,
+  getConsistentAppId,
+} from "./saveService";
+import {
+  getKeyDimensionsConfig,
+  generateKeyFromValues,
+  generateRowKey,
+  getKeyValueFromRow,
+} from "./keyDimensionsUtils";
+import { getBaseColumns } from "./dynamicColumnsUtils";
+import { getRows } from "./hypercubeUtils";
+import {
+  createEditStore,
+  setEdit,
+  setRowVersion,
+  countEdits,
+} from "./editStore";
+import { createLogger } from "./logger";
+import { compareTimestamps, fromDateTimeLocal } from "./timeUtils";
+import { coerceStoredValue } from "./valueCoercion";
+
+const log = createLogger("read");
 
 /**
- * Read writeback data from Qlik Automation and merge with current table data
+ * Read writeback data from the configured storage adapter and merge with
+ * current table data
  */
 export async function loadWritebackData(layout, app) {
-  try {
-    // Use stable app ID - consistent with saveService
-    let appId;
-
-    // Priority: Use app.id first (more stable), then layout.qInfo.qId as fallback
-    if (app && app.id) {
-      appId = app.id;
-    } else if (layout?.qInfo?.qId) {
-      appId = layout.qInfo.qId;
-    } else {
-      appId = "unknown-app";
-    }
-
-    console.log("Loading writeback data for appId:", appId);
+  const writebackData = await loadWritebackRecords(layout, app);
+  const mergedData = mergeWritebackWithTable(writebackData, layout);
 
-    // Call the read automation
-    const response = await callReadAutomation(appId, "latest");
-
-    if (!response.success) {
-      console.warn("No writeback data found:", response.message);
-      return {}; // Return empty object if no data found
-    }
-
-    // Parse the CSV data
-    const writebackData = parseWritebackCSV(response.csvContent);
-
-    // Merge with current table data
-    const mergedData = mergeWritebackWithTable(writebackData, layout);
-
-    console.log(
-      `Loaded ${
-        Object.keys(mergedData).length
-      } writeback entries for app ${appId}`
-    );
+  log.debug(`Merged ${countEdits(mergedData)} writeback entries into table`);
 
-    return mergedData;
-  } catch (error) {
-    console.error("Failed to load writeback data:", error);
-    return {}; // Return empty object on error so table still works
-  }
+  return mergedData;
 }
 
 /**
- * Call the read automation webhook
+ * Read writeback data from the configured storage adapter as records keyed
+ * by composite key. Keep these to merge rows fetched after the initial load
+ * with mergeWritebackWithTable. Pass { asOf } to read the values as they
+ * were at that stored timestamp instead of the latest ones.
  */
-async function callReadAutomation(appId, action = "latest") {
-  if (
-    !ENV.DB_READ_WEBHOOK_URL ||
-    ENV.DB_READ_WEBHOOK_URL.includes("YOUR_TENANT")
-  ) {
-    throw new Error(
-      "Read webhook URL not configured. Please update config/env.js"
-    );
-  }
-
-  const formData = new FormData();
-  formData.append("appId", appId);
-  formData.append("action", action);
-
-  const requestOptions = {
-    method: "POST",
-    body: formData,
-  };
-
-  // Add token if configured
-  if (ENV.DB_READ_TOKEN && !ENV.DB_READ_TOKEN.includes("your_actual")) {
-    requestOptions.headers = {
-      "X-Execution-Token": ENV.DB_READ_TOKEN,
-    };
-  }
-
-  const response = await fetch(ENV.DB_READ_WEBHOOK_URL, requestOptions);
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(
-      "Read automation failed:",
-      response.status,
-      response.statusText,
-      errorText
-    );
-    throw new Error(
-      `HTTP ${response.status}: ${response.statusText} - ${errorText}`
-    );
-  }
-
-  let responseData;
+export async function loadWritebackRecords(layout, app, { asOf } = {}) {
   try {
-    responseData = await response.json();
-  } catch {
-    // Handle non-JSON response
-    const textResponse = await response.text();
-    console.error("Non-JSON response received:", textResponse);
-    throw new Error(`Invalid response format: ${textResponse}`);
-  }
-
-  // Handle array response (automation sometimes returns array)
-  if (Array.isArray(responseData) && responseData.length > 0) {
-    responseData = responseData[0];
+    // Same app ID as saves
+    const appId = getConsistentAppId(app, layout);
 
-    // If it's still a string after extracting from array, parse it
-    if (typeof responseData === "string") {
-      try {
-        responseData = JSON.parse(responseData);
-      } catch (e) {
-        // Don't throw error - we might already have the object structure we need
-      }
-    }
-  }
+    log.debug("Loading writeback data", { appId, asOf });
 
-  // Check if we got writeback data - handle both object and string formats
-  let hasSuccessStatus = false;
-  let csvContent = null;
-  let fileName = null;
-  let responseAppId = null;
-
-  if (typeof responseData === "object" && responseData.status === "success") {
-    hasSuccessStatus = true;
-    csvContent = responseData.csvContent;
-    fileName = responseData.fileName;
-    responseAppId = responseData.appId;
-  } else if (
-    typeof responseData === "string" &&
-    responseData.includes('"status": "success"')
-  ) {
-    hasSuccessStatus = true;
-
-    // Extract data manually from string - find the csvContent section
-    const csvStartIndex =
-      responseData.indexOf('"csvContent": "') + '"csvContent": "'.length;
-    const csvEndIndex = responseData.lastIndexOf('"\n}');
-
-    if (
-      csvStartIndex > '"csvContent": "'.length - 1 &&
-      csvEndIndex > csvStartIndex
-    ) {
-      const rawCsvContent = responseData.substring(csvStartIndex, csvEndIndex);
+    // Load through the configured storage adapter
+    const adapter = getStorageAdapter(layout, app);
+    const response = asOf
+      ? await adapter.load({ appId, action: "as_of", asOf })
+      : await adapter.load({ appId, action: "latest" });
 
-      // Properly handle escaped characters
-      csvContent = rawCsvContent
-        .replace(/\\n/g, "\n") // Convert \n to actual newlines
-        .replace(/\\"/g, '"') // Convert \" to actual quotes
-        .replace(/\\r/g, "\r"); // Convert \r to actual carriage returns
+    if (!response.success) {
+      log.info("No writeback data found", { message: response.message });
+      return {}; // Return no records if no data found
     }
 
-    // Extract other fields with simpler regex
-    const fileMatch = responseData.match(/"fileName":\s*"([^"]+)"/);
-    const appMatch = responseData.match(/"appId":\s*"([^"]+)"/);
+    // Parse the CSV data into records keyed by composite key
+    const writebackData = parseWritebackCSV(response.csvContent, layout);
 
-    if (fileMatch) fileName = fileMatch[1];
-    if (appMatch) responseAppId = appMatch[1];
-  }
-
-  if (hasSuccessStatus && csvContent) {
-    // Handle CSV content that might be a string or array
-    let csvData = csvContent;
-
-    // If it's a string, we need to parse it as CSV
-    if (typeof csvData === "string") {
-      // Split into lines and parse as CSV
-      const lines = csvData.trim().split("\n");
-
-      if (lines.length > 0) {
-        // Parse each line as CSV
-        const parsedData = lines.map((line) => {
-          // Simple CSV parsing - handle quoted values
-          const result = [];
-          let current = "";
-          let inQuotes = false;
-
-          for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-              inQuotes = !inQuotes;
-            } else if (char === "," && !inQuotes) {
-              result.push(current.trim());
-              current = "";
-            } else {
-              current += char;
-            }
-          }
-          result.push(current.trim());
-          return result;
-        });
-        csvData = parsedData;
-      }
-    }
+    log.info(`Loaded ${Object.keys(writebackData).length} writeback records`, {
+      appId,
+    });
 
-    return {
-      success: true,
-      csvContent: csvData,
-      fileName: fileName,
-      appId: responseAppId,
-    };
-  } else if (hasSuccessStatus && !csvContent) {
-    // No data found - this is normal for new apps
-    return {
-      success: false,
-      message: "No writeback data found - this is expected for new apps",
-    };
-  } else {
-    console.error("Unexpected automation response structure:", responseData);
-    throw new Error("Unexpected response format from automation");
+    return writebackData;
+  } catch (error) {
+    log.error("Failed to load writeback data", error);
+    return {}; // Return no records so table still works
   }
 }
 
 /**
- * Parse CSV content returned from automation
+ * Parse CSV content returned from the storage adapter into records keyed by
+ * the same composite key the save service writes (key dimension columns).
+ * Supports the wide layout (one column per writeback field) and the long
+ * layout (WRITEBACK_FIELD / WRITEBACK_VALUE pairs); newer rows win.
  */
-function parseWritebackCSV(csvContent) {
+function parseWritebackCSV(csvContent, layout) {
   const writebackData = {};
 
   if (!csvContent || !Array.isArray(csvContent)) {
-    console.warn("Invalid CSV content format");
+    log.warn("Invalid CSV content format");
     return writebackData;
   }
 
@@ -226,151 +96,204 @@ function parseWritebackCSV(csvContent) {
   const [headers, ...rows] = csvContent;
 
   if (!headers || !Array.isArray(headers)) {
-    console.warn("Invalid CSV headers");
+    log.warn("Invalid CSV headers");
+    return writebackData;
+  }
+
+  const modelStructure = analyzeModelStructure(layout);
+  const keyConfig = getKeyDimensionsConfig(layout);
+  const columnMapping = getWritebackColumnMapping(layout);
+  const writebackColumns = Object.keys(columnMapping);
+  const columnTypes = getWritebackColumnTypes(layout);
+
+  // Key columns must all be present to place a record on a table row
+  const keyIndices = modelStructure.keyDimensions.map((keyDim) =>
+    findHeaderIndex(headers, keyDim.name)
+  );
+  if (keyIndices.length === 0 || keyIndices.some((index) => index < 0)) {
+    log.warn("Writeback data is missing key columns", {
+      keyColumns: modelStructure.keyDimensions.map((d) => d.dbColumn),
+    });
     return writebackData;
   }
 
-  // Find column indices for the data we need
   const columnIndices = {
-    date: headers.indexOf("DATE"),
-    event: headers.indexOf("EVENT"),
-    time: headers.indexOf("TIME"),
-    writebackField: headers.indexOf("WRITEBACK_FIELD"),
-    writebackValue: headers.indexOf("WRITEBACK_VALUE"),
-    timestamp: headers.indexOf("WRITEBACK_TIMESTAMP"),
-    auditId: headers.indexOf("AUDIT_ID"),
+    writebackField: findHeaderIndex(headers, "WRITEBACK_FIELD"),
+    writebackValue: findHeaderIndex(headers, "WRITEBACK_VALUE"),
+    timestamp: findFirstHeaderIndex(headers, [
+      "WRITEBACK_TIMESTAMP",
+      "modified_at",
+    ]),
+    auditId: findHeaderIndex(headers, "AUDIT_ID"),
+    version: findHeaderIndex(headers, "version"),
+  };
+  const isLongFormat =
+    columnIndices.writebackField >= 0 && columnIndices.writebackValue >= 0;
+  const valueIndices = writebackColumns.map((columnName) =>
+    findHeaderIndex(headers, columnMapping[columnName])
+  );
+
+  const storeValue = (recordKey, columnName, value, row) => {
+    const timestamp = row[columnIndices.timestamp];
+    const record = writebackData[recordKey] || {};
+    const existing = record[columnName];
+
+    // Keep the most recent value when the same cell appears more than once
+    if (
+      existing &&
+      existing.timestamp &&
+      timestamp &&
+      compareTimestamps(existing.timestamp, timestamp) > 0
+    ) {
+      return;
+    }
+
+    const version = parseInt(row[columnIndices.version], 10);
+    record[columnName] = {
+      value: coerceStoredValue(value, columnTypes[columnName]),
+      timestamp,
+      auditId: row[columnIndices.auditId],
+      version: isNaN(version) ? null : version,
+      field: columnName,
+    };
+    writebackData[recordKey] = record;
   };
 
   // Process each row
-  rows.forEach((row, index) => {
+  rows.forEach((row) => {
     if (!row || !Array.isArray(row)) return;
 
-    const writebackField = row[columnIndices.writebackField];
-    const writebackValue = row[columnIndices.writebackValue];
-    const dateValue = row[columnIndices.date];
-    const eventValue = row[columnIndices.event];
-    const timeValue = row[columnIndices.time];
-    const auditId = row[columnIndices.auditId];
-
-    // Create a unique row identifier using SIMPLIFIED logic that matches the table
-    const rowId = createRowId(dateValue, eventValue, timeValue, index);
-
-    // Store the writeback value
-    if (rowId && writebackField && writebackValue !== undefined) {
-      const key = `${rowId}-${writebackField}`;
-      writebackData[key] = {
-        value: writebackValue,
-        timestamp: row[columnIndices.timestamp],
-        auditId: auditId,
-        field: writebackField,
-      };
+    const recordKey = generateKeyFromValues(
+      keyIndices.map((index) => row[index] || ""),
+      keyConfig
+    );
+
+    if (isLongFormat) {
+      const columnName = matchWritebackColumn(
+        row[columnIndices.writebackField],
+        columnMapping
+      );
+      const value = row[columnIndices.writebackValue];
+      if (columnName && value !== undefined) {
+        storeValue(recordKey, columnName, value, row);
+      }
+      return;
     }
+
+    writebackColumns.forEach((columnName, i) => {
+      const index = valueIndices[i];
+      if (index >= 0 && row[index] !== undefined && row[index] !== "") {
+        storeValue(recordKey, columnName, row[index], row);
+      }
+    });
   });
 
   return writebackData;
 }
 
 /**
- * Create row ID using SIMPLIFIED logic that matches the table component
- * This should match exactly with the writebackTable.jsx row ID generation
+ * Find a header by exact name, then by its database column form
  */
-function createRowId(dateValue, eventValue, timeValue, rowIndex) {
-  const uniqueParts = [];
-
-  // Use the same logic as in writebackTable.jsx
-  // Add the key identifying values
-  if (dateValue) uniqueParts.push(dateValue);
-  if (eventValue) uniqueParts.push(eventValue);
-  if (timeValue) uniqueParts.push(timeValue);
+function findHeaderIndex(headers, name) {
+  const exactIndex = headers.indexOf(name);
+  if (exactIndex >= 0) return exactIndex;
+
+  const dbName = convertToDbColumnName(name);
+  return headers.findIndex(
+    (header) => convertToDbColumnName(String(header)) === dbName
+  );
+}
 
-  // Add row index for uniqueness
-  uniqueParts.push(`row-${rowIndex}`);
+/**
+ * Find the first header present from a list of candidate names
+ */
+function findFirstHeaderIndex(headers, names) {
+  for (const name of names) {
+    const index = findHeaderIndex(headers, name);
+    if (index >= 0) return index;
+  }
+  return -1;
+}
 
-  return uniqueParts.join("|");
+/**
+ * Map a stored field name (the mapped database column, or the column name
+ * itself) onto a configured writeback column name
+ */
+function matchWritebackColumn(fieldName, columnMapping) {
+  if (!fieldName) return null;
+  if (columnMapping.hasOwnProperty(fieldName)) return fieldName;
+
+  const storedName = convertToDbColumnName(String(fieldName));
+  return (
+    Object.keys(columnMapping).find(
+      (columnName) =>
+        convertToDbColumnName(columnMapping[columnName]) === storedName
+    ) || null
+  );
 }
 
 /**
  * Merge writeback data with current table layout for initial load
+ * Records are matched on key dimension values, never on row position, and
+ * returned as an edit store keyed by the table's generateRowKey row key
  */
-function mergeWritebackWithTable(writebackData, layout) {
-  const mergedData = {};
-
-  if (!layout?.qHyperCube?.qDataPages?.[0]?.qMatrix) {
+export function mergeWritebackWithTable(
+  writebackData,
+  layout,
+  rows = getRows(layout)
+) {
+  let mergedData = createEditStore();
+
+  if (rows.length === 0 || Object.keys(writebackData).length === 0) {
     return mergedData;
   }
 
-  const columns =
-    layout.qHyperCube.qDimensionInfo?.map((d) => d.qFallbackTitle) || [];
-  const measures =
-    layout.qHyperCube.qMeasureInfo?.map((m) => m.qFallbackTitle) || [];
-  const allColumns = [...columns, ...measures];
-  const rows = layout.qHyperCube.qDataPages[0].qMatrix;
-
-  // Process each row to find matching writeback data
-  rows.forEach((row, index) => {
-    // Create row ID using SAME logic as table component
-    const uniqueParts = [];
-
-    if (row && row.length > 0) {
-      // Get first 3 values as identifier (matching writebackTable.jsx)
-      for (let i = 0; i < Math.min(3, row.length); i++) {
-        if (row[i] && row[i].qText) {
-          uniqueParts.push(row[i].qText);
-        }
-      }
-    }
-    uniqueParts.push(`row-${index}`);
-    const rowId = uniqueParts.join("|");
+  const modelStructure = analyzeModelStructure(layout);
+  const baseColumns = getBaseColumns(layout);
 
-    // Check for writeback data for each writeback column
-    allColumns.forEach((columnName) => {
-      const key = `${rowId}-${columnName}`;
+  rows.forEach((row) => {
+    const recordKey = getRecordKeyForRow(row, layout, modelStructure);
+    const record = writebackData[recordKey];
+    if (!record) return;
 
-      if (writebackData[key]) {
-        mergedData[key] = writebackData[key].value;
-      }
+    // Row key uses the SAME logic as the table component
+    const rowKey = generateRowKey(row, layout, baseColumns);
+
+    Object.entries(record).forEach(([columnName, entry]) => {
+      mergedData = setEdit(mergedData, rowKey, columnName, entry.value, row);
     });
+
+    // The record's stored version - the one a save must expect
+    const versions = Object.values(record)
+      .map((entry) => entry.version)
+      .filter((version) => version !== null);
+    if (versions.length > 0) {
+      mergedData = setRowVersion(
+        mergedData,
+        rowKey,
+        Math.max(...versions),
+        row
+      );
+    }
   });
 
   return mergedData;
 }
 
 /**
- * Test the read webhook connection
+ * Test the read connection through the configured storage adapter
  */
-export async function testReadConnection() {
+export async function testReadConnection(layout, app) {
   try {
-    if (
-      !ENV.DB_READ_WEBHOOK_URL ||
-      ENV.DB_READ_WEBHOOK_URL.includes("YOUR_TENANT")
-    ) {
-      return {
-        success: false,
-        error: "Read webhook URL not configured",
-      };
-    }
-
-    // Test with a dummy appId
-    const testPayload = new FormData();
-    testPayload.append("appId", "test-connection");
-    testPayload.append("action", "latest");
-
-    const response = await fetch(ENV.DB_READ_WEBHOOK_URL, {
-      method: "POST",
-      headers: {
-        ...(ENV.DB_READ_TOKEN &&
-          !ENV.DB_READ_TOKEN.includes("your_actual") && {
-            "X-Execution-Token": ENV.DB_READ_TOKEN,
-          }),
-      },
-      body: testPayload,
-    });
+    const adapter = getStorageAdapter(layout, app);
+    const response = await adapter.testConnection("read");
 
     return {
       success: response.ok,
       message: response.ok
         ? "Read connection test successful"
         : "Connection failed",
+      adapter: adapter.name,
       status: response.status,
       timestamp: new Date().toISOString(),
     };
@@ -384,18 +307,56 @@ export async function testReadConnection() {
 }
 
 /**
- * Get specific writeback file by date or action
+ * Key a table row the way stored records are keyed: the text of the key
+ * columns as saved (getKeyValueFromRow), combined with the configured key
+ * strategy
  */
-export async function getWritebackByAction(layout, app, action) {
+function getRecordKeyForRow(
+  row,
+  layout,
+  modelStructure = analyzeModelStructure(layout)
+) {
+  return generateKeyFromValues(
+    modelStructure.keyDimensions.map(
+      (keyDim) => getKeyValueFromRow(row, keyDim.index) || ""
+    ),
+    getKeyDimensionsConfig(layout)
+  );
+}
+
+/**
+ * Get specific writeback data by action. "history" reads the change
+ * history instead of the latest values and returns it per row and column:
+ *   { [recordKey]: { [columnName]: [entry, ...] } }, newest entry first
+ * filters ({ rowKey, column }) are passed to the backend to narrow it.
+ */
+export async function getWritebackByAction(layout, app, action, filters = {}) {
   try {
-    const appId = layout?.qInfo?.qId || "unknown-app";
-    const response = await callReadAutomation(appId, action);
+    const appId = getConsistentAppId(app, layout);
+    const adapter = getStorageAdapter(layout, app);
+
+    if (action === "history") {
+      const response = await adapter.history({ appId, ...filters });
+      if (!response.success) {
+        return { success: false, message: response.message, history: {} };
+      }
+
+      const history = parseWritebackHistory(response.csvContent, layout);
+      return {
+        success: true,
+        history,
+        fileName: response.fileName,
+        recordCount: Object.keys(history).length,
+      };
+    }
+
+    const response = await adapter.load({ appId, action });
 
     if (!response.success) {
       return { success: false, message: response.message };
     }
 
-    const writebackData = parseWritebackCSV(response.csvContent);
+    const writebackData = parseWritebackCSV(response.csvContent, layout);
     const mergedData = mergeWritebackWithTable(writebackData, layout);
 
     return {
@@ -405,7 +366,231 @@ export async function getWritebackByAction(layout, app, action) {
       recordCount: Object.keys(mergedData).length,
     };
   } catch (error) {
-    console.error("Failed to get writeback data:", error);
+    log.error("Failed to get writeback data", error);
     return { success: false, message: error.message };
   }
 }
+
+/**
+ * List the moments data was saved, newest first, as points to view the
+ * table at: [{ timestamp, user, version, changeCount }]
+ */
+export async function listSavePoints(layout, app) {
+  const appId = getConsistentAppId(app, layout);
+  const adapter = getStorageAdapter(layout, app);
+  const response = await adapter.history({ appId });
+
+  if (!response.success || !Array.isArray(response.csvContent)) {
+    return [];
+  }
+
+  const [headers, ...rows] = response.csvContent;
+  const timestampIndex = findFirstHeaderIndex(headers || [], [
+    "changed_at",
+    "modified_at",
+    "WRITEBACK_TIMESTAMP",
+  ]);
+  const userIndex = findFirstHeaderIndex(headers || [], [
+    "changed_by",
+    "modified_by",
+    "WRITEBACK_USER",
+  ]);
+  const versionIndex = findHeaderIndex(headers || [], "version");
+  if (timestampIndex < 0) return [];
+
+  const points = new Map();
+  rows.forEach((row) => {
+    const timestamp = row[timestampIndex];
+    if (!timestamp) return;
+
+    const point = points.get(timestamp) || {
+      timestamp,
+      user: row[userIndex] || null,
+      version: null,
+      changeCount: 0,
+    };
+    const version = parseInt(row[versionIndex], 10);
+    if (!isNaN(version)) {
+      point.version = Math.max(point.version || 0, version);
+    }
+    point.changeCount += 1;
+    points.set(timestamp, point);
+  });
+
+  return Array.from(points.values()).sort((a, b) =>
+    compareTimestamps(b.timestamp, a.timestamp)
+  );
+}
+
+/**
+ * Convert a datetime-local input value ("YYYY-MM-DDTHH:mm"), entered in the
+ * display timezone, to a UTC timestamp inclusive of the whole minute
+ */
+export function toStoredTimestamp(value, timeZone) {
+  if (!value) return null;
+  return fromDateTimeLocal(value, timeZone);
+}
+
+/**
+ * Load the change timeline of one writeback cell, newest first. Each entry
+ * is { value, previousValue, user, timestamp, version, reason }.
+ */
+export async function loadCellHistory(layout, app, row, columnName) {
+  const result = await getWritebackByAction(layout, app, "history", {
+    rowKey: generateRowKey(row, layout, getBaseColumns(layout)),
+    column: getWritebackColumnMapping(layout)[columnName],
+  });
+
+  if (!result.success) {
+    if (result.history) return []; // No history stored yet
+    throw new Error(result.message || "Failed to load history");
+  }
+
+  const recordKey = getRecordKeyForRow(row, layout);
+  return (result.history[recordKey] || {})[columnName] || [];
+}
+
+/**
+ * Parse history rows into per-row, per-column timelines. Supports change
+ * log rows (column_name / old_value / new_value, one per changed cell) and
+ * record snapshots (one row per save, all columns); snapshots only yield
+ * an entry where the column's value actually changed.
+ */
+function parseWritebackHistory(csvContent, layout) {
+  const history = {};
+
+  if (!csvContent || !Array.isArray(csvContent)) {
+    return history;
+  }
+
+  const [headers, ...rows] = csvContent;
+  if (!headers || !Array.isArray(headers)) {
+    return history;
+  }
+
+  const modelStructure = analyzeModelStructure(layout);
+  const keyConfig = getKeyDimensionsConfig(layout);
+  const columnMapping = getWritebackColumnMapping(layout);
+  const writebackColumns = Object.keys(columnMapping);
+  const columnTypes = getWritebackColumnTypes(layout);
+
+  const keyIndices = modelStructure.keyDimensions.map((keyDim) =>
+    findHeaderIndex(headers, keyDim.name)
+  );
+  if (keyIndices.length === 0 || keyIndices.some((index) => index < 0)) {
+    log.warn("Writeback history is missing key columns");
+    return history;
+  }
+
+  const columnIndices = {
+    columnName: findHeaderIndex(headers, "column_name"),
+    oldValue: findHeaderIndex(headers, "old_value"),
+    newValue: findHeaderIndex(headers, "new_value"),
+    reason: findHeaderIndex(headers, "change_reason"),
+    user: findFirstHeaderIndex(headers, [
+      "changed_by",
+      "modified_by",
+      "WRITEBACK_USER",
+    ]),
+    timestamp: findFirstHeaderIndex(headers, [
+      "changed_at",
+      "modified_at",
+      "WRITEBACK_TIMESTAMP",
+    ]),
+    version: findHeaderIndex(headers, "version"),
+  };
+  const isChangeLog =
+    columnIndices.columnName >= 0 && columnIndices.newValue >= 0;
+  const valueIndices = writebackColumns.map((columnName) =>
+    findHeaderIndex(headers, columnMapping[columnName])
+  );
+
+  const cellAt = (row, index) =>
+    index >= 0 && row[index] !== undefined && row[index] !== ""
+      ? row[index]
+      : null;
+
+  const addEntry = (recordKey, columnName, entry) => {
+    history[recordKey] = history[recordKey] || {};
+    history[recordKey][columnName] = history[recordKey][columnName] || [];
+    history[recordKey][columnName].push(entry);
+  };
+
+  rows.forEach((row) => {
+    if (!row || !Array.isArray(row)) return;
+
+    const recordKey = generateKeyFromValues(
+      keyIndices.map((index) => row[index] || ""),
+      keyConfig
+    );
+    const version = parseInt(row[columnIndices.version], 10);
+    const common = {
+      user: cellAt(row, columnIndices.user),
+      timestamp: cellAt(row, columnIndices.timestamp),
+      version: isNaN(version) ? null : version,
+      reason: cellAt(row, columnIndices.reason),
+    };
+
+    if (isChangeLog) {
+      const columnName = matchWritebackColumn(
+        row[columnIndices.columnName],
+        columnMapping
+      );
+      if (columnName) {
+        addEntry(recordKey, columnName, {
+          ...common,
+          value: coerceStoredValue(
+            cellAt(row, columnIndices.newValue),
+            columnTypes[columnName]
+          ),
+          previousValue: coerceStoredValue(
+            cellAt(row, columnIndices.oldValue),
+            columnTypes[columnName]
+          ),
+        });
+      }
+      return;
+    }
+
+    writebackColumns.forEach((columnName, i) => {
+      if (valueIndices[i] < 0) return;
+      addEntry(recordKey, columnName, {
+        ...common,
+        value: coerceStoredValue(
+          cellAt(row, valueIndices[i]),
+          columnTypes[columnName]
+        ),
+        previousValue: null,
+      });
+    });
+  });
+
+  // Oldest first to link previous values, then newest first for display
+  Object.values(history).forEach((columns) => {
+    Object.keys(columns).forEach((columnName) => {
+      const timeline = [];
+      columns[columnName]
+        .sort(compareHistoryEntries)
+        .forEach((entry) => {
+          const previous = timeline[timeline.length - 1];
+          if (!isChangeLog && previous && previous.value === entry.value) {
+            return;
+          }
+          timeline.push({
+            ...entry,
+            previousValue:
+              entry.previousValue ?? (previous ? previous.value : null),
+          });
+        });
+      columns[columnName] = timeline.reverse();
+    });
+  });
+
+  return history;
+}
+
+function compareHistoryEntries(a, b) {
+  const byTime = compareTimestamps(a.timestamp, b.timestamp);
+  if (byTime !== 0) return byTime;
+  return (a.version || 0) - (b.version || 0);
+}
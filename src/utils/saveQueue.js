@@ -0,0 +1,299 @@
+// utils/saveQueue.js - Durable outbox for save batches that failed to send
+import { createLogger } from './logger';
+
+/**
+ * Save Queue - keeps save batches whose storage call failed (network down,
+ * webhook unreachable) in localStorage, keyed per app and object, and
+ * replays them with exponential backoff, including after a page reload.
+ *
+ * Each queued batch is an edit store (see editStore.js) with its row
+ * snapshots, so it can be saved again without the original data page.
+ * Batch status is "queued" (waiting for its first replay), "retrying"
+ * (a replay failed, next attempt scheduled) or "failed" (gave up
+ * after maxAttempts; retry or discard manually).
+ */
+
+const log = createLogger('save');
+
+const STORAGE_PREFIX = 'qlik_writeback_outbox';
+
+class SaveQueue {
+  /**
+   * @param {string} appId - app the batches belong to
+   * @param {string} objectId - extension object id
+   * @param {Function} sendBatch - async (editStore) => saveWritebackData result
+   */
+  constructor(appId, objectId, sendBatch) {
+    this.storageKey = `${STORAGE_PREFIX}:${appId}:${objectId}`;
+    this.sendBatch = sendBatch;
+    this.entries = [];
+    this.listeners = new Set();
+    this.retryTimer = null;
+    this.isProcessing = false;
+    this.handleOnline = () => this.processQueue({ force: true });
+
+    this.config = {
+      baseDelay: 2000, // 2 seconds before the first retry
+      maxDelay: 300000, // never wait more than 5 minutes between attempts
+      maxAttempts: 8,
+    };
+  }
+
+  /**
+   * Load persisted batches and replay them
+   */
+  start() {
+    // A reload interrupts any scheduled wait, so replay right away
+    this.entries = this.readStorage().map((entry) => (
+      entry.status === 'failed' ? entry : { ...entry, nextAttemptAt: 0 }
+    ));
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    this.notifyListeners('change', this.getState());
+    this.processQueue();
+  }
+
+  /**
+   * Stop timers and listeners; queued batches stay in storage
+   */
+  stop() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * Add a batch that could not be sent and schedule its replay
+   */
+  enqueue(editStore, error) {
+    const entry = {
+      id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      editStore,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      status: 'queued',
+      lastError: error ? error.message : null,
+      nextAttemptAt: Date.now() + this.getDelay(0),
+    };
+
+    this.entries = [...this.entries, entry];
+    this.persist();
+    this.scheduleNext();
+    return entry;
+  }
+
+  /**
+   * Try every batch that is due; force ignores backoff and retries failed
+   * batches as well
+   */
+  async processQueue({ force = false } = {}) {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.entries.filter(
+        (entry) => force || (entry.status !== 'failed' && entry.nextAttemptAt <= now),
+      );
+
+      // Replay in order so a later batch never overtakes an earlier one
+      await due.reduce(
+        (previous, entry) => previous.then(() => this.sendEntry(entry)),
+        Promise.resolve(),
+      );
+    } finally {
+      this.isProcessing = false;
+      this.scheduleNext();
+    }
+  }
+
+  async sendEntry(entry) {
+    let result;
+    try {
+      result = await this.sendBatch(entry.editStore);
+    } catch (error) {
+      if (!error.retryable) {
+        // Not a transport problem - replaying will not help
+        this.updateEntry(entry.id, {
+          status: 'failed',
+          lastError: error.message,
+        });
+        return;
+      }
+
+      const attempts = entry.attempts + 1;
+      this.updateEntry(entry.id, {
+        attempts,
+        status: attempts >= this.config.maxAttempts ? 'failed' : 'retrying',
+        lastError: error.message,
+        nextAttemptAt: Date.now() + this.getDelay(attempts),
+      });
+      return;
+    }
+
+    // Keep the batch until its result is applied: rejected rows and
+    // conflicts of a replay exist nowhere else
+    try {
+      await this.settle(entry, result);
+    } catch (error) {
+      log.error('Could not apply the result of a queued save', error);
+      this.updateEntry(entry.id, {
+        status: 'failed',
+        lastError: error.message,
+      });
+      return;
+    }
+
+    this.entries = this.entries.filter((e) => e.id !== entry.id);
+    this.persist();
+  }
+
+  /**
+   * Run the "settled" listeners in order, waiting for async ones; errors
+   * reach the caller
+   */
+  settle(entry, result) {
+    const listeners = [...this.listeners].filter(
+      (listener) => listener.event === 'settled',
+    );
+    return listeners.reduce(
+      (previous, listener) => previous.then(() => listener.callback({ entry, result })),
+      Promise.resolve(),
+    );
+  }
+
+  /**
+   * Retry all batches now, including failed ones
+   */
+  retryAll() {
+    return this.processQueue({ force: true });
+  }
+
+  /**
+   * Drop a batch without saving it
+   */
+  discard(entryId) {
+    this.entries = this.entries.filter((entry) => entry.id !== entryId);
+    this.persist();
+  }
+
+  updateEntry(entryId, changes) {
+    this.entries = this.entries.map((entry) => (
+      entry.id === entryId ? { ...entry, ...changes } : entry
+    ));
+    this.persist();
+  }
+
+  /**
+   * Exponential backoff with jitter: baseDelay * 2^attempts
+   */
+  getDelay(attempts) {
+    const delay = Math.min(
+      this.config.baseDelay * 2 ** attempts,
+      this.config.maxDelay,
+    );
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  scheduleNext() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const pending = this.entries.filter((entry) => entry.status !== 'failed');
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map((entry) => entry.nextAttemptAt));
+    this.retryTimer = setTimeout(
+      () => this.processQueue(),
+      Math.max(0, nextAt - Date.now()),
+    );
+  }
+
+  /**
+   * Counts per status plus the batches themselves (oldest first)
+   */
+  getState() {
+    const count = (status) => this.entries.filter((entry) => entry.status === status).length;
+    const pending = this.entries.filter((entry) => entry.status !== 'failed');
+
+    return {
+      entries: this.entries,
+      queued: count('queued'),
+      retrying: count('retrying'),
+      failed: count('failed'),
+      total: this.entries.length,
+      nextAttemptAt:
+        pending.length > 0
+          ? Math.min(...pending.map((entry) => entry.nextAttemptAt))
+          : null,
+    };
+  }
+
+  persist() {
+    try {
+      if (this.entries.length === 0) {
+        localStorage.removeItem(this.storageKey);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+      }
+    } catch (error) {
+      log.warn('Could not persist save queue', error);
+    }
+    this.notifyListeners('change', this.getState());
+  }
+
+  readStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const entries = stored ? JSON.parse(stored) : [];
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      log.warn('Could not read save queue', error);
+      return [];
+    }
+  }
+
+  /**
+   * Subscribe to "change" (queue state) and "settled" (batch sent). A
+   * batch leaves the queue only once every "settled" listener returns (or
+   * its promise resolves); if one throws, the batch stays as "failed".
+   */
+  addEventListener(event, callback) {
+    this.listeners.add({ event, callback });
+  }
+
+  /**
+   * Remove event listener
+   */
+  removeEventListener(callback) {
+    this.listeners.forEach((listener) => {
+      if (listener.callback === callback) {
+        this.listeners.delete(listener);
+      }
+    });
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((listener) => {
+      if (listener.event === event) {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          log.error('Error in save queue listener', error);
+        }
+      }
+    });
+  }
+}
+
+export default SaveQueue;
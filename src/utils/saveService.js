@@ -1,37 +1,53 @@
-// utils/saveService.js - Dynamic PostgreSQL Database Save Service
+// utils/saveService.js - Dynamic SQL Database Save Service
 // AUTO-DETECTS fields from Qlik model + adds writeback and audit columns
-import ENV from "../config/env.js";
+import { getStorageAdapter, getStorageConfig } from "./storageAdapters";
+import {
+  getActiveKeyDimensions,
+  getFallbackKeyColumns,
+  getKeyValueFromRow,
+  generateRowKey,
+} from "./keyDimensionsUtils";
+import { getRows } from "./hypercubeUtils";
+import { createLogger } from "./logger";
+import { createTimestamp } from "./timeUtils";
+import {
+  getSqlDialect,
+  buildUpsertStatement,
+  buildInsertStatement,
+  formatParameterValue,
+} from "./sqlDialects";
+import {
+  coerceValue,
+  coerceStoredValue,
+  getParameterTypeForColumn,
+} from "./valueCoercion";
+import { resolveUserIdentity, getSaveIdentity } from "./userIdentity";
+
+const log = createLogger("save");
 
 /**
- * Save writeback data directly to PostgreSQL database via Qlik Automation
+ * Save writeback data through the storage adapter chosen in the property panel
  */
 export async function saveWritebackData(editedData, layout, app) {
   try {
-    // === SAVE DEBUG ===
-    console.log("=== SAVE DEBUG ===");
-    console.log("editedData:", editedData);
-    console.log("layout structure:", layout?.qHyperCube);
-    console.log("Webhook URL:", ENV.DB_SAVE_WEBHOOK_URL);
-    console.log("Webhook Token:", ENV.DB_SAVE_TOKEN ? "Configured" : "Missing");
-
-    console.log(
-      "Starting dynamic PostgreSQL save operation with data:",
-      editedData
-    );
+    log.debug("Starting save", {
+      editedData,
+      adapter: getStorageConfig(layout).adapter,
+      hyperCubeSize: layout?.qHyperCube?.qSize,
+    });
 
-    // Get current user
-    const currentUser = await getCurrentQlikUser(app);
-    console.log("Current user:", currentUser);
+    // Get current user - throws when anonymous saves are refused
+    const { displayName: currentUser } = await getSaveIdentity(app, layout);
 
     // Generate audit info
-    const timestamp = generateETTimestamp();
+    const timestamp = createTimestamp();
     const appId = getConsistentAppId(app, layout);
     const sessionId = getOrCreateSessionId();
 
-    console.log("Save context:", { appId, sessionId, user: currentUser });
+    log.debug("Save context", { appId, sessionId, user: currentUser });
 
-    // Convert edited data to database records
-    const dbRecords = convertToDbRecords(
+    // Convert edited data to database records (one entry per edited row)
+    const { dbRecords, validationErrors } = convertToDbRecords(
       editedData,
       layout,
       currentUser,
@@ -40,7 +56,32 @@ export async function saveWritebackData(editedData, layout, app) {
       sessionId
     );
 
-    console.log(`Generated ${dbRecords.length} database records to save`);
+    // Edits without a database column are a configuration problem - never
+    // drop them silently
+    const unmappedColumns = [
+      ...new Set(
+        validationErrors.filter((e) => e.unmapped).map((e) => e.columnName)
+      ),
+    ];
+    if (unmappedColumns.length > 0) {
+      throw new Error(
+        `No database column is mapped for ${unmappedColumns.join(
+          ", "
+        )}. Check the writeback column settings.`
+      );
+    }
+
+    if (validationErrors.length > 0) {
+      const error = new Error(
+        `Validation errors: ${validationErrors
+          .map((e) => `${e.columnName} (${e.rowKey}): ${e.error}`)
+          .join("; ")}`
+      );
+      error.validationErrors = validationErrors;
+      throw error;
+    }
+
+    log.debug(`Generated ${dbRecords.length} database records to save`);
 
     if (dbRecords.length === 0) {
       return {
@@ -50,31 +91,124 @@ export async function saveWritebackData(editedData, layout, app) {
       };
     }
 
-    // Send to Qlik Automation for PostgreSQL insertion
-    const result = await sendToPostgreSQLAutomation(dbRecords, layout, {
+    // Send the whole batch to the storage adapter in one transaction
+    const results = await sendBatchToStorage(dbRecords, layout, app, {
       appId,
       sessionId,
       user: currentUser,
       timestamp,
     });
 
+    const savedCount = results.filter((r) => r.success).length;
+    const failedCount = results.length - savedCount;
+    const conflicts = results.filter((r) => r.conflict);
+
     return {
-      success: true,
-      message: `Successfully saved ${dbRecords.length} records to database`,
+      success: failedCount === 0,
+      message:
+        failedCount === 0
+          ? `Successfully saved ${savedCount} records to database`
+          : conflicts.length > 0
+          ? `Saved ${savedCount} of ${results.length} records; ${conflicts.length} changed by someone else since you loaded them`
+          : `Saved ${savedCount} of ${results.length} records; ${failedCount} failed`,
       fileName: "Clean Database",
       timestamp,
-      changeCount: dbRecords.length,
+      changeCount: savedCount,
+      failedCount,
+      results,
+      conflicts,
       savedBy: currentUser,
-      type: "success",
+      type: failedCount === 0 ? "success" : "error",
     };
   } catch (error) {
-    console.error("Dynamic PostgreSQL save operation failed:", error);
-    throw new Error(`Failed to save to database: ${error.message}`);
+    log.error("Save failed", error);
+    const saveError = new Error(`Failed to save to database: ${error.message}`);
+    saveError.retryable = error.retryable === true;
+    throw saveError;
   }
 }
 
+/**
+ * Dry run of a save: builds the records and payload exactly as
+ * saveWritebackData would, without sending anything. Pass `options.user`
+ * to skip the Qlik user lookup, e.g. when checking column mapping from code.
+ * @returns {Promise<{rows: Array, validationErrors: Array, payload: ?Object,
+ *   changeCount: number}>} rows hold each row key's changes with their old
+ *   and new values and validation status
+ */
+export async function previewWritebackData(
+  editedData,
+  layout,
+  app,
+  options = {}
+) {
+  const currentUser =
+    options.user || (await getSaveIdentity(app, layout)).displayName;
+  const timestamp = createTimestamp();
+  const appId = getConsistentAppId(app, layout);
+  const sessionId = getOrCreateSessionId();
+
+  const { dbRecords, validationErrors, skippedRowKeys } = convertToDbRecords(
+    editedData,
+    layout,
+    currentUser,
+    timestamp,
+    appId,
+    sessionId
+  );
+  const columnMapping = getWritebackColumnMapping(layout);
+
+  const rows = Object.entries(editedData).map(([rowKey, entry]) => {
+    const dbRecord = dbRecords.find((r) => r.primaryKey === rowKey);
+    const reasons = entry.reasons || {};
+
+    const changes = Object.keys(entry.values).map((columnName) => {
+      const change = dbRecord?.changes.find(
+        (c) => c.columnName === columnName
+      );
+      const invalid = validationErrors.find(
+        (e) => e.rowKey === rowKey && e.columnName === columnName
+      );
+
+      return {
+        columnName,
+        dbColumn: columnMapping[columnName] || null,
+        oldValue: change ? change.oldValue : entry.base?.[columnName] ?? null,
+        newValue: change ? change.newValue : entry.values[columnName],
+        reason: reasons[columnName] || null,
+        valid: !invalid,
+        error: invalid ? invalid.error : null,
+      };
+    });
+
+    return {
+      rowKey,
+      expectedVersion: entry.version ?? null,
+      record: dbRecord ? dbRecord.record : null,
+      error: skippedRowKeys.includes(rowKey)
+        ? "Row is no longer in the data - it cannot be saved"
+        : null,
+      changes,
+    };
+  });
+
+  return {
+    rows,
+    validationErrors,
+    payload:
+      dbRecords.length > 0
+        ? buildSavePayload(dbRecords, analyzeModelStructure(layout), appId)
+        : null,
+    changeCount: rows.reduce((count, row) => count + row.changes.length, 0),
+  };
+}
+
 /**
  * UPDATED: Convert edited data with improved user/time handling
+ * editedData is an edit store (see editStore.js); returns one
+ * { primaryKey, columns, record } entry per edited row as `dbRecords`,
+ * plus the edits that do not fit their column type ({ rowKey, columnName,
+ * value, error }) and the row keys whose source row is gone
  */
 function convertToDbRecords(
   editedData,
@@ -84,93 +218,197 @@ function convertToDbRecords(
   appId,
   sessionId
 ) {
-  console.log("Converting edited data to database records (CLEAN SCHEMA)...");
-
   const baseRows = getBaseRows(layout);
   const baseColumns = getBaseColumns(layout);
   const dbRecords = [];
+  const validationErrors = [];
+  const skippedRowKeys = [];
 
   const modelStructure = analyzeModelStructure(layout);
-  console.log("Detected clean model structure:", modelStructure);
 
-  const editsByPrimaryKey = groupEditsByPrimaryKey(
-    editedData,
-    baseRows,
-    baseColumns,
-    modelStructure
-  );
+  if (!modelStructure.primaryKey) {
+    log.error("No primary key field detected");
+    return { dbRecords, validationErrors, skippedRowKeys };
+  }
+
+  log.debug("Converting edits to database records", {
+    rowKeys: Object.keys(editedData),
+  });
 
-  console.log("Edits grouped by primary key:", Object.keys(editsByPrimaryKey));
+  const columnTypes = getWritebackColumnTypes(layout);
+  const columnMapping = {};
+  modelStructure.writebackColumns.forEach(({ columnName, dbColumn }) => {
+    columnMapping[columnName] = dbColumn;
+  });
 
-  // Generate simple version number
-  const version = generateSimpleVersion();
+  Object.entries(editedData).forEach(([primaryKey, entry]) => {
+    // Edited values must fit their column type; stored values that do not
+    // (saved before columns were typed) are passed through unchanged
+    const edits = {};
+    Object.entries(entry.values).forEach(([columnName, value]) => {
+      if (!columnMapping.hasOwnProperty(columnName)) {
+        validationErrors.push({
+          rowKey: primaryKey,
+          columnName,
+          value,
+          error: "No database column is mapped to this column",
+          unmapped: true,
+        });
+        return;
+      }
 
-  Object.entries(editsByPrimaryKey).forEach(([primaryKey, edits]) => {
-    console.log(`Processing ${primaryKey}:`, edits);
+      const result = coerceValue(value, columnTypes[columnName]);
+      if (result.ok) {
+        edits[columnName] = result.value;
+      } else {
+        validationErrors.push({
+          rowKey: primaryKey,
+          columnName,
+          value,
+          error: result.error,
+        });
+      }
+    });
+    const base = {};
+    Object.entries(entry.base || {}).forEach(([columnName, value]) => {
+      base[columnName] = coerceStoredValue(value, columnTypes[columnName]);
+    });
 
-    const sourceRow = findRowByPrimaryKey(
-      baseRows,
-      baseColumns,
-      primaryKey,
-      modelStructure
-    );
+    // Prefer the row snapshot taken when the edit was made - the row may no
+    // longer be in the current data page after a selection or page change.
+    // A snapshot taken before the columns changed is stale, so fall back to
+    // searching the current rows.
+    const sourceRow =
+      entry.row && entry.row.length === baseColumns.length
+        ? entry.row
+        : findRowByPrimaryKey(baseRows, baseColumns, primaryKey, layout);
 
     if (!sourceRow) {
-      console.warn(`No source row found for ${primaryKey}`);
+      log.warn("No source row found for edited row", { primaryKey });
+      skippedRowKeys.push(primaryKey);
       return;
     }
 
+    // Version the edits were based on; null for rows never stored
+    const expectedVersion = entry.version ?? null;
+
+    // Stored values fill the columns that were not edited, so the record
+    // does not blank them out
     const dbRecord = createCleanDbRecord(
       sourceRow,
       baseColumns,
       modelStructure,
-      edits,
+      { ...base, ...edits },
       currentUser,
       timestamp,
       appId,
       sessionId,
-      version,
+      expectedVersion,
       primaryKey
     );
 
-    dbRecords.push(dbRecord);
-    console.log(`Created clean DB record for ${primaryKey}:`, dbRecord);
+    // One change log entry per edited column, with the stored value it
+    // replaces and the user's reason when one was given
+    const reasons = entry.reasons || {};
+    const changes = Object.keys(edits).map((columnName) => ({
+      columnName,
+      dbColumn: columnMapping[columnName],
+      oldValue: base.hasOwnProperty(columnName) ? base[columnName] : null,
+      newValue: edits[columnName],
+      reason: reasons[columnName] || null,
+    }));
+
+    dbRecords.push({
+      primaryKey,
+      columns: Object.keys(edits),
+      record: dbRecord,
+      expectedVersion,
+      changes,
+    });
+    log.debug("Created database record", { primaryKey, values: dbRecord });
   });
 
-  return dbRecords;
+  return { dbRecords, validationErrors, skippedRowKeys };
 }
 
 /**
- * UPDATED: Get writeback fields dynamically from extension configuration
+ * Database column a writeback column is saved to: the "Database column"
+ * set in the property panel, or the column name in snake_case
  */
-function getWritebackFieldsFromConfig(layout) {
-  const writebackConfig = layout?.writebackConfig;
+export function getDbColumnName(column) {
+  const explicit = (column?.dbColumn || "").trim();
+  if (!explicit) return convertToDbColumnName(column?.columnName || "");
 
-  if (!writebackConfig?.enabled || !writebackConfig?.columns) {
-    console.log("No writeback configuration found, using fallback");
-    // Fallback to hardcoded fields if no configuration
-    return ["model_feedback", "comments"];
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(explicit)) {
+    throw new Error(
+      `Invalid database column "${explicit}" for writeback column "${column.columnName}". Use letters, digits and underscores.`
+    );
   }
+  return explicit;
+}
+
+/**
+ * Database column of every configured writeback column, keyed by column
+ * name. Columns without a name yet are left out; two columns mapped to the
+ * same database column are an error.
+ */
+export function getWritebackColumnMapping(layout) {
+  const mapping = {};
+  const mappedFrom = {}; // lower-cased database column -> column name
+
+  (layout?.writebackConfig?.columns || []).forEach((column) => {
+    if (!column.columnName) return;
+
+    const dbColumn = getDbColumnName(column);
+    const owner = mappedFrom[dbColumn.toLowerCase()];
+    if (owner !== undefined) {
+      throw new Error(
+        `Writeback columns "${owner}" and "${column.columnName}" are both mapped to database column "${dbColumn}"`
+      );
+    }
 
-  // Extract column names and convert to database format
-  const writebackFields = writebackConfig.columns.map((column) => {
-    return convertToDbColumnName(column.columnName);
+    mappedFrom[dbColumn.toLowerCase()] = column.columnName;
+    mapping[column.columnName] = dbColumn;
   });
 
-  console.log("✅ Dynamic writeback fields from config:", writebackFields);
-  return writebackFields;
+  return mapping;
+}
+
+/**
+ * Input type of each configured writeback column, keyed by column name
+ */
+export function getWritebackColumnTypes(layout) {
+  const columnTypes = {};
+  (layout?.writebackConfig?.columns || []).forEach((column) => {
+    columnTypes[column.columnName] = column.columnType || "text";
+  });
+  return columnTypes;
 }
 
 /**
  * UPDATED: Analyze model structure - Clean schema focused
+ * Key columns come from the configured key dimensions (in key order);
+ * without any configured, the same first dimensions as the fallback row key
  */
-function analyzeModelStructure(layout) {
+export function analyzeModelStructure(layout) {
   const dimensions = layout.qHyperCube?.qDimensionInfo || [];
+  const baseColumns = getBaseColumns(layout);
+  const columnMapping = getWritebackColumnMapping(layout);
 
   const structure = {
+    tableName: getWritebackTableName(layout),
+    auditTableName: getAuditTableName(layout),
+    dialect: getSqlDialect(layout),
     primaryKey: null,
-    keyDimensions: [], // ONLY the first dimension (primary key)
-    writebackFields: getWritebackFieldsFromConfig(layout),
+    keyDimensions: [], // Every active key dimension, in key order
+    // Configured writeback columns: { columnName, dbColumn }
+    writebackColumns: Object.entries(columnMapping).map(
+      ([columnName, dbColumn]) => ({ columnName, dbColumn })
+    ),
+    writebackFields: Object.values(columnMapping),
+    writebackTypes: {}, // database column -> parameter type
+    conflictKeys: [],
+    updateColumns: [],
     auditFields: [
       "created_by",
       "modified_by",
@@ -182,88 +420,122 @@ function analyzeModelStructure(layout) {
     ],
   };
 
-  // First dimension is the primary key
-  if (dimensions.length > 0) {
-    structure.primaryKey = {
-      name: dimensions[0].qFallbackTitle,
-      dbColumn: convertToDbColumnName(dimensions[0].qFallbackTitle),
-      index: 0,
-    };
+  const activeKeyDimensions = getActiveKeyDimensions(layout, baseColumns);
 
-    // ONLY include the primary key dimension (accountid)
-    structure.keyDimensions.push({
-      name: dimensions[0].qFallbackTitle,
-      dbColumn: convertToDbColumnName(dimensions[0].qFallbackTitle),
-      index: 0,
-      type: "dimension",
+  if (activeKeyDimensions.length > 0) {
+    activeKeyDimensions.forEach((keyDim) => {
+      const index = baseColumns.indexOf(keyDim.dimensionName);
+      structure.keyDimensions.push({
+        name: keyDim.dimensionName,
+        dbColumn: convertToDbColumnName(keyDim.dimensionName),
+        index,
+        type: index < dimensions.length ? "dimension" : "measure",
+      });
     });
+  } else {
+    // No key dimensions configured - one stored record per table row, so
+    // the key columns match generateRowKey's fallback key
+    getFallbackKeyColumns(baseColumns, dimensions.length).forEach(
+      (name, index) => {
+        structure.keyDimensions.push({
+          name,
+          dbColumn: convertToDbColumnName(name),
+          index,
+          type: "dimension",
+        });
+      }
+    );
   }
 
-  console.log("🏗️ Clean model structure:", {
+  const columnTypes = getWritebackColumnTypes(layout);
+  structure.writebackColumns.forEach(({ columnName, dbColumn }) => {
+    structure.writebackTypes[dbColumn] = getParameterTypeForColumn(
+      columnTypes[columnName]
+    );
+  });
+
+  // A writeback column must not overwrite a key or audit column
+  const reserved = [
+    ...structure.keyDimensions.map((d) => d.dbColumn),
+    ...structure.auditFields,
+  ];
+  structure.writebackColumns.forEach(({ columnName, dbColumn }) => {
+    if (reserved.includes(dbColumn.toLowerCase())) {
+      throw new Error(
+        `Writeback column "${columnName}" is mapped to "${dbColumn}", which is a key or audit column`
+      );
+    }
+  });
+
+  if (structure.keyDimensions.length > 0) {
+    const { name, dbColumn, index } = structure.keyDimensions[0];
+    structure.primaryKey = { name, dbColumn, index };
+  }
+
+  // UPSERT target: key columns identify the row, everything else but the
+  // creation audit fields is overwritten on conflict
+  structure.conflictKeys = structure.keyDimensions.map((d) => d.dbColumn);
+  structure.updateColumns = [
+    ...structure.writebackFields,
+    "modified_by",
+    "modified_at",
+    "version",
+    "session_id",
+  ];
+
+  log.debug("Model structure", {
     primaryKey: structure.primaryKey?.name,
-    keyDimensions: structure.keyDimensions.length,
+    keyDimensions: structure.keyDimensions.map((d) => d.name),
     writebackFields: structure.writebackFields.length,
     auditFields: structure.auditFields.length,
     writebackColumns: structure.writebackFields,
+    tableName: structure.tableName,
+    auditTableName: structure.auditTableName,
+    dialect: structure.dialect.name,
+    conflictKeys: structure.conflictKeys,
   });
 
   return structure;
 }
 
 /**
- * Generate all possible UI field name variations from database field name
+ * Get the target table name from configuration, validated as a plain
+ * (optionally schema-qualified) identifier since it is part of the statement
  */
-function generateUIFieldVariations(dbFieldName) {
-  const variations = [];
+function getWritebackTableName(layout) {
+  const tableName = (layout?.writebackConfig?.tableName || "").trim();
 
-  // 1. Original database field name
-  variations.push(dbFieldName);
-
-  // 2. Replace underscores with spaces
-  const spacedVersion = dbFieldName.replace(/_/g, " ");
-  variations.push(spacedVersion);
-
-  // 3. Title Case (Model Feedback)
-  const titleCase = spacedVersion.replace(/\b\w/g, (l) => l.toUpperCase());
-  variations.push(titleCase);
-
-  // 4. Sentence case (Model feedback)
-  const sentenceCase =
-    spacedVersion.charAt(0).toUpperCase() + spacedVersion.slice(1);
-  variations.push(sentenceCase);
-
-  // 5. camelCase (modelFeedback)
-  const camelCase = dbFieldName.replace(/_([a-z])/g, (match, letter) =>
-    letter.toUpperCase()
-  );
-  variations.push(camelCase);
+  if (!tableName) {
+    return "writeback_data";
+  }
 
-  // 6. PascalCase (ModelFeedback)
-  const pascalCase = camelCase.charAt(0).toUpperCase() + camelCase.slice(1);
-  variations.push(pascalCase);
+  return validateTableName(tableName, "writeback");
+}
 
-  // 7. UPPERCASE variations
-  variations.push(dbFieldName.toUpperCase());
-  variations.push(spacedVersion.toUpperCase());
-  variations.push(titleCase.toUpperCase());
+/**
+ * Get the change log table name - configured, or the writeback table name
+ * with a "_changes" suffix
+ */
+function getAuditTableName(layout) {
+  const auditTableName = (
+    layout?.writebackConfig?.auditTableName || ""
+  ).trim();
 
-  // 8. lowercase variations
-  variations.push(dbFieldName.toLowerCase());
-  variations.push(spacedVersion.toLowerCase());
+  if (!auditTableName) {
+    return `${getWritebackTableName(layout)}_changes`;
+  }
 
-  // Remove duplicates and return
-  return [...new Set(variations)];
+  return validateTableName(auditTableName, "change log");
 }
 
-/**
- * Fuzzy matching for field names as fallback
- */
-function fuzzyMatchFields(uiFieldName, dbFieldName) {
-  const normalize = (str) => str.toLowerCase().replace(/[^a-z0-9]/g, "");
-  const normalizedUI = normalize(uiFieldName);
-  const normalizedDB = normalize(dbFieldName);
+function validateTableName(tableName, label) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(tableName)) {
+    throw new Error(
+      `Invalid ${label} table name "${tableName}". Use letters, digits and underscores, optionally prefixed by a schema.`
+    );
+  }
 
-  return normalizedUI === normalizedDB;
+  return tableName;
 }
 
 /**
@@ -278,684 +550,369 @@ function createCleanDbRecord(
   timestamp,
   appId,
   sessionId,
-  version,
+  expectedVersion,
   primaryKey
 ) {
-  console.log("=== CREATE CLEAN DB RECORD ===");
-  console.log("Edits received:", edits);
-  console.log("Writeback fields expected:", modelStructure.writebackFields);
-
   const dbRecord = {};
 
-  // Add ONLY the primary key dimension (accountid)
+  // Every key column, so the record upserts into its own stored row
   modelStructure.keyDimensions.forEach((dimension) => {
-    const value = extractValueFromRow(
+    dbRecord[dimension.dbColumn] = getKeyValueFromRow(
       sourceRow,
-      dimension.index,
-      dimension.type
+      dimension.index
     );
-    dbRecord[dimension.dbColumn] = value;
   });
 
-  // Add writeback fields with dynamic mapping
-  modelStructure.writebackFields.forEach((dbFieldName) => {
-    let editValue = "";
-
-    const possibleUINames = generateUIFieldVariations(dbFieldName);
-
-    console.log(`Looking for edit value for DB field "${dbFieldName}"`);
-    console.log(`Possible UI names:`, possibleUINames);
-
-    for (const uiName of possibleUINames) {
-      if (edits.hasOwnProperty(uiName)) {
-        editValue = edits[uiName];
-        console.log(
-          `✅ Found mapping: "${uiName}" → "${dbFieldName}" = "${editValue}"`
-        );
-        break;
-      }
-    }
-
-    if (!editValue) {
-      Object.keys(edits).forEach((editKey) => {
-        if (fuzzyMatchFields(editKey, dbFieldName)) {
-          editValue = edits[editKey];
-          console.log(
-            `🔍 Fuzzy match: "${editKey}" → "${dbFieldName}" = "${editValue}"`
-          );
-        }
-      });
-    }
-
-    dbRecord[dbFieldName] = editValue || null;
+  // Writeback fields through the configured column mapping
+  modelStructure.writebackColumns.forEach(({ columnName, dbColumn }) => {
+    // Typed values can be 0 or false, so "not set" is undefined
+    const editValue = edits[columnName];
+    dbRecord[dbColumn] =
+      editValue === undefined || editValue === "" ? null : editValue;
   });
 
-  // Add clean audit fields
-  const etTimestamp = generateETTimestamp();
-  const simpleVersion = generateSimpleVersion();
-
+  // Add clean audit fields - timestamps are UTC ISO-8601, the same
+  // instant for every record in the batch
   dbRecord.created_by = currentUser;
   dbRecord.modified_by = currentUser;
-  dbRecord.created_at = etTimestamp;
-  dbRecord.modified_at = etTimestamp;
-  dbRecord.version = simpleVersion;
+  dbRecord.created_at = timestamp;
+  dbRecord.modified_at = timestamp;
+  // Versions count up per record; the statement only applies this one
+  // while the stored version still equals expectedVersion
+  dbRecord.version = expectedVersion === null ? 1 : expectedVersion + 1;
   dbRecord.session_id = sessionId;
   dbRecord.app_id = appId;
 
-  console.log("=== FINAL CLEAN DB RECORD ===");
-  console.log(dbRecord);
   return dbRecord;
 }
 
 /**
- * Get current Qlik user's REAL DISPLAY NAME like "karthik burra"
- * This approach uses the Qlik Cloud Users REST API to get the actual user name
+ * Describe the identity saves are attributed to, for diagnostics:
+ * { displayName, userId, directory, email, authenticated, source, fromCache }
  */
-async function getCurrentQlikUser(app) {
-  console.log("Getting current user display name...");
-
-  try {
-    // Step 1: Get the user ID first using getAuthenticatedUser
-    let userId = null;
-    let userDirectory = null;
-
-    if (
-      app &&
-      app.global &&
-      typeof app.global.getAuthenticatedUser === "function"
-    ) {
-      try {
-        const userInfo = await app.global.getAuthenticatedUser();
-        console.log("Raw user info from getAuthenticatedUser:", userInfo);
-
-        if (userInfo) {
-          // Parse the response format: "UserDirectory=; UserId=auth0|..."
-          if (typeof userInfo === "string") {
-            const userIdMatch = userInfo.match(/UserId=([^;]+)/);
-            const userDirMatch = userInfo.match(/UserDirectory=([^;]*)/);
-
-            if (userIdMatch && userIdMatch[1]) {
-              userId = userIdMatch[1].trim();
-            }
-            if (userDirMatch && userDirMatch[1]) {
-              userDirectory = userDirMatch[1].trim();
-            }
-          } else if (typeof userInfo === "object") {
-            userId = userInfo.qUserId || userInfo.UserId || userInfo.userId;
-            userDirectory = userInfo.qUserDirectory || userInfo.UserDirectory;
-          }
-        }
-      } catch (error) {
-        console.log("getAuthenticatedUser failed:", error);
-      }
-    }
-
-    console.log("🔍 Extracted userId:", userId);
-    console.log("🔍 Extracted userDirectory:", userDirectory);
-
-    // Step 2: If we have a userId, try to get the display name from Qlik Cloud API
-    if (userId) {
-      try {
-        const displayName = await getUserDisplayNameFromAPI(userId, app);
-        if (displayName) {
-          console.log("SUCCESS: Got real display name from API:", displayName);
-          return displayName;
-        }
-      } catch (error) {
-        console.log("Failed to get display name from API:", error);
-      }
-    }
-
-    // Step 3: Try alternative methods to get user info
-    if (app && typeof app.getAppLayout === "function") {
-      try {
-        const appLayout = await app.getAppLayout();
-        console.log("Checking app layout for user info...");
-
-        // Check app metadata for user names
-        let user = null;
-
-        if (appLayout?.qMeta?.createdBy) {
-          user = appLayout.qMeta.createdBy;
-        } else if (appLayout?.qMeta?.modifiedBy) {
-          user = appLayout.qMeta.modifiedBy;
-        } else if (appLayout?.qMeta?.owner) {
-          user = appLayout.qMeta.owner;
-        }
-
-        if (user && typeof user === "string") {
-          // If it looks like a display name (contains space), use it
-          if (
-            user.includes(" ") &&
-            !user.includes("@") &&
-            !user.includes("\\")
-          ) {
-            console.log("SUCCESS: Got display name from app layout:", user);
-            return user;
-          }
-        }
-      } catch (error) {
-        console.log("App layout method failed:", error);
-      }
-    }
-
-    // Step 4: Fallback - try to extract meaningful name from user ID
-    if (userId) {
-      let cleanUser = userId;
-
-      // Clean up auth0 IDs
-      if (cleanUser.startsWith("auth0|")) {
-        const authId = cleanUser.substring(6);
-        cleanUser = `user_${authId.substring(0, 8)}`;
-      }
-
-      // Clean up other formats
-      if (cleanUser.includes("\\")) {
-        cleanUser = cleanUser.split("\\").pop();
-      }
-      if (cleanUser.includes("@")) {
-        cleanUser = cleanUser.split("@")[0];
-      }
-
-      console.log("Using cleaned user ID:", cleanUser);
-      return cleanUser;
-    }
-
-    // Step 5: Generate session-based user as last resort
-    let sessionUser = null;
-
-    if (typeof sessionStorage !== "undefined") {
-      sessionUser = sessionStorage.getItem("qlik_writeback_user");
-    }
-
-    if (!sessionUser) {
-      const timestamp = Date.now().toString();
-      const random = Math.random().toString(36).substr(2, 5);
-      sessionUser = `user_${timestamp.slice(-6)}_${random}`;
-
-      if (typeof sessionStorage !== "undefined") {
-        sessionStorage.setItem("qlik_writeback_user", sessionUser);
-      }
-    }
-
-    console.log("FALLBACK: Using generated session user:", sessionUser);
-    return sessionUser;
-  } catch (error) {
-    console.error("Error getting user:", error);
-
-    const fallbackUser = `user_${Date.now().toString().slice(-8)}`;
-    console.log("FINAL FALLBACK: Using emergency fallback user:", fallbackUser);
-    return fallbackUser;
-  }
-}
-
-/**
- * Get user display name from Qlik Cloud Users REST API
- * This requires the user to be findable in the tenant's user list
- */
-async function getUserDisplayNameFromAPI(userId, app) {
-  try {
-    console.log(
-      "Attempting to get display name from Qlik Cloud API for userId:",
-      userId
-    );
-
-    // Get the tenant hostname for API calls
-    const hostname = window.location.hostname;
-    if (!hostname.includes("qlikcloud")) {
-      console.log("Not on Qlik Cloud, skipping API call");
-      return null;
-    }
-
-    // Construct the Users API endpoint
-    const apiBaseUrl = `https://${hostname}/api/v1`;
-    const usersEndpoint = `${apiBaseUrl}/users`;
-
-    // Try to search for the user by subject (userId)
-    const searchUrl = `${usersEndpoint}?filter=subject eq "${encodeURIComponent(
-      userId
-    )}"`;
-
-    console.log("Making API call to:", searchUrl);
-
-    // Try to use the app's session for authentication
-    const response = await fetch(searchUrl, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      credentials: "include", // Use the current session cookies
-    });
-
-    if (!response.ok) {
-      console.log("API call failed with status:", response.status);
-      return null;
-    }
-
-    const data = await response.json();
-    console.log("API response:", data);
-
-    if (data.data && data.data.length > 0) {
-      const user = data.data[0];
-      if (user.name) {
-        console.log("Found user display name:", user.name);
-        return user.name;
-      }
-    }
-
-    console.log("No user found or no name field in response");
-    return null;
-  } catch (error) {
-    console.log("Failed to get user from API:", error);
-    return null;
-  }
+export async function getUserIdentityDetails(app) {
+  return resolveUserIdentity(app);
 }
 
 /**
- * Alternative method: Try to get user info from Qlik's internal APIs
- * This might work in some Qlik Cloud environments
+ * Convert Qlik field name to database column name
  */
-async function getUserInfoFromInternalAPI(app) {
-  try {
-    // Try to get user info from Qlik's internal user API
-    const hostname = window.location.hostname;
-    const userInfoUrl = `https://${hostname}/api/v1/users/me`;
-
-    console.log("Trying internal user API:", userInfoUrl);
-
-    const response = await fetch(userInfoUrl, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-      },
-      credentials: "include",
-    });
-
-    if (response.ok) {
-      const userData = await response.json();
-      console.log("Internal API user data:", userData);
-
-      if (userData.name) {
-        console.log("Got display name from internal API:", userData.name);
-        return userData.name;
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.log("Internal API failed:", error);
-    return null;
-  }
+export function convertToDbColumnName(fieldName) {
+  return fieldName
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "_") // Replace non-alphanumeric with underscore
+    .replace(/_+/g, "_") // Replace multiple underscores with single
+    .replace(/^_|_$/g, ""); // Remove leading/trailing underscores
 }
 
 /**
- * Enhanced user detection that tries to get real display name
+ * Find source row by primary key - matches the full composite row key
  */
-async function getReliableCurrentUser(app) {
-  console.log("Getting reliable current user with display name...");
-
-  // First try cached user
-  const cachedUser = getCachedUser();
-  if (cachedUser) {
-    console.log("Using cached user:", cachedUser);
-    return cachedUser;
-  }
-
-  // Try the main method
-  const user = await getCurrentQlikUser(app);
-
-  // Cache the result
-  if (typeof sessionStorage !== "undefined") {
-    sessionStorage.setItem("cached_qlik_user", user);
-    sessionStorage.setItem("cached_qlik_user_timestamp", Date.now().toString());
-  }
+function findRowByPrimaryKey(baseRows, baseColumns, primaryKey, layout) {
+  const matchingRow = baseRows.find(
+    (row) => generateRowKey(row, layout, baseColumns) === primaryKey
+  );
 
-  return user;
+  return matchingRow || null;
 }
 
 /**
- * Get cached user if available and recent (within 1 hour)
+ * Columns written for every record, in placeholder order
  */
-function getCachedUser() {
-  try {
-    if (typeof sessionStorage === "undefined") return null;
-
-    const cachedUser = sessionStorage.getItem("cached_qlik_user");
-    const cachedTimestamp = sessionStorage.getItem(
-      "cached_qlik_user_timestamp"
-    );
-
-    if (!cachedUser || !cachedTimestamp) return null;
-
-    const cacheAge = Date.now() - parseInt(cachedTimestamp);
-    const oneHour = 60 * 60 * 1000;
-
-    if (cacheAge < oneHour) {
-      return cachedUser;
-    } else {
-      // Clear old cache
-      sessionStorage.removeItem("cached_qlik_user");
-      sessionStorage.removeItem("cached_qlik_user_timestamp");
-      return null;
-    }
-  } catch (error) {
-    return null;
-  }
+function getStatementColumns(modelStructure) {
+  return [
+    ...modelStructure.keyDimensions.map((d) => d.dbColumn),
+    ...modelStructure.writebackFields,
+    ...modelStructure.auditFields,
+  ];
 }
 
 /**
- * Simple method to extract a reasonable display name from user ID
- * This is used when API calls fail but we have a meaningful user ID
+ * Generate the UPSERT statement template in the configured SQL dialect -
+ * values are bound as parameters by the backend, never inlined into the
+ * SQL text. The last parameter is the expected prior version: an existing
+ * row is only updated while its stored version still matches, so a
+ * statement that touches no row means someone else saved the record first.
  */
-function extractDisplayNameFromUserId(userId) {
-  if (!userId) return null;
-
-  // If it's an email, extract the username part and make it readable
-  if (userId.includes("@")) {
-    const username = userId.split("@")[0];
-    // Convert dots and underscores to spaces and title case
-    return username
-      .replace(/[._]/g, " ")
-      .replace(/\b\w/g, (l) => l.toUpperCase());
-  }
-
-  // If it has underscores or dots, make it readable
-  if (userId.includes("_") || userId.includes(".")) {
-    return userId
-      .replace(/[._]/g, " ")
-      .replace(/\b\w/g, (l) => l.toUpperCase());
-  }
-
-  // If it's camelCase, split it
-  if (/[a-z][A-Z]/.test(userId)) {
-    return userId
-      .replace(/([a-z])([A-Z])/g, "$1 $2")
-      .replace(/\b\w/g, (l) => l.toUpperCase());
-  }
-
-  return userId;
+function generateUpsertStatement(modelStructure) {
+  return buildUpsertStatement(modelStructure.dialect, {
+    tableName: modelStructure.tableName,
+    columns: getStatementColumns(modelStructure),
+    keyColumns: modelStructure.conflictKeys,
+    updateColumns: modelStructure.updateColumns,
+  });
 }
 
 /**
- * Generate ET timestamp
+ * Columns of the append-only change log, in placeholder order
  */
-function generateETTimestamp() {
-  const now = new Date();
-
-  // Convert to Eastern Time
-  const etTime = new Date(
-    now.toLocaleString("en-US", {
-      timeZone: "America/New_York",
-    })
-  );
-
-  // Format as YYYY-MM-DD HH:MM:SS
-  const year = etTime.getFullYear();
-  const month = (etTime.getMonth() + 1).toString().padStart(2, "0");
-  const day = etTime.getDate().toString().padStart(2, "0");
-  const hours = etTime.getHours().toString().padStart(2, "0");
-  const minutes = etTime.getMinutes().toString().padStart(2, "0");
-  const seconds = etTime.getSeconds().toString().padStart(2, "0");
-
-  const formatted = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-
-  console.log("🕐 Generated ET timestamp:", formatted);
-  return formatted;
+function getAuditColumns(modelStructure) {
+  return [
+    "row_key",
+    ...modelStructure.keyDimensions.map((d) => d.dbColumn),
+    "column_name",
+    "old_value",
+    "new_value",
+    "change_reason",
+    "changed_by",
+    "changed_at",
+    "session_id",
+    "app_id",
+    "version",
+  ];
 }
 
 /**
- * FIXED: Generate smaller version number that fits in PostgreSQL INTEGER
+ * Generate the change log INSERT - rows are only ever appended, never
+ * updated, so the full history of every cell is kept
  */
-function generateSimpleVersion() {
-  const now = new Date();
-  const etTime = new Date(
-    now.toLocaleString("en-US", {
-      timeZone: "America/New_York",
-    })
+function generateAuditStatement(modelStructure) {
+  return buildInsertStatement(
+    modelStructure.dialect,
+    modelStructure.auditTableName,
+    getAuditColumns(modelStructure)
   );
-
-  // Use smaller format: MMDDHHMM (8 digits max, fits in INTEGER)
-  const version = parseInt(
-    (etTime.getMonth() + 1).toString().padStart(2, "0") + // MM (01-12)
-      etTime.getDate().toString().padStart(2, "0") + // DD (01-31)
-      etTime.getHours().toString().padStart(2, "0") + // HH (00-23)
-      etTime.getMinutes().toString().padStart(2, "0") // MM (00-59)
-  );
-
-  console.log("📊 Generated smaller version (MMDDHHMM):", version);
-  return version;
 }
 
 /**
- * Convert Qlik field name to database column name
+ * Tables the save statements write to, with each column's parameter type:
+ * { dialect, table: { tableName, columns, uniqueKey }, auditTable }.
+ * Key columns are text, even for measures: they hold the cell text the
+ * row key is built from.
  */
-function convertToDbColumnName(fieldName) {
-  return fieldName
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "_") // Replace non-alphanumeric with underscore
-    .replace(/_+/g, "_") // Replace multiple underscores with single
-    .replace(/^_|_$/g, ""); // Remove leading/trailing underscores
+export function getExpectedTableSchema(layout) {
+  const modelStructure = analyzeModelStructure(layout);
+  const keyColumns = modelStructure.keyDimensions.map((d) => d.dbColumn);
+
+  const describeColumns = (columns) =>
+    columns.map((name) => ({
+      name,
+      type: keyColumns.includes(name)
+        ? "text"
+        : getParameterType(name, undefined, modelStructure),
+      nullable: !keyColumns.includes(name),
+    }));
+
+  return {
+    dialect: modelStructure.dialect,
+    table: {
+      tableName: modelStructure.tableName,
+      columns: describeColumns(getStatementColumns(modelStructure)),
+      uniqueKey: modelStructure.conflictKeys,
+    },
+    auditTable: {
+      tableName: modelStructure.auditTableName,
+      columns: describeColumns(getAuditColumns(modelStructure)),
+      uniqueKey: [],
+    },
+  };
 }
 
 /**
- * Group edited data by primary key
+ * Build one change log parameter set per edited column of a record.
+ * Old and new values are logged as text whatever the column type.
  */
-function groupEditsByPrimaryKey(
-  editedData,
-  baseRows,
-  baseColumns,
-  modelStructure
-) {
-  const grouped = {};
-
-  if (!modelStructure.primaryKey) {
-    console.error("No primary key field detected");
-    return grouped;
-  }
+function buildAuditParameters(entry, modelStructure) {
+  const { record } = entry;
+
+  return entry.changes.map((change) => {
+    const values = {
+      row_key: entry.primaryKey,
+      column_name: change.dbColumn,
+      old_value: change.oldValue === null ? null : String(change.oldValue),
+      new_value: change.newValue === null ? null : String(change.newValue),
+      change_reason: change.reason,
+      changed_by: record.modified_by,
+      changed_at: record.modified_at,
+      session_id: record.session_id,
+      app_id: record.app_id,
+      version: record.version,
+    };
+    modelStructure.keyDimensions.forEach((d) => {
+      values[d.dbColumn] = record[d.dbColumn];
+    });
 
-  Object.entries(editedData).forEach(([key, value]) => {
-    const primaryKey = extractPrimaryKeyFromEditKey(
-      key,
-      baseRows,
-      baseColumns,
-      modelStructure
+    return getAuditColumns(modelStructure).map((column) =>
+      toParameter(column, values[column], null, modelStructure.dialect)
     );
-
-    if (primaryKey) {
-      if (!grouped[primaryKey]) {
-        grouped[primaryKey] = {};
-      }
-
-      const fieldName = extractFieldNameFromEditKey(key);
-      grouped[primaryKey][fieldName] = value;
-    }
   });
-
-  return grouped;
 }
 
 /**
- * Extract primary key from edit key
+ * Build the typed parameter array for one record, in statement column order,
+ * followed by the expected prior version
  */
-function extractPrimaryKeyFromEditKey(
-  editKey,
-  baseRows,
-  baseColumns,
-  modelStructure
-) {
-  if (editKey.includes("::")) {
-    return editKey.split("::")[0];
-  } else if (editKey.includes("-")) {
-    const lastDashIndex = editKey.lastIndexOf("-");
-    return editKey.substring(0, lastDashIndex);
-  }
+function buildStatementParameters(record, modelStructure, expectedVersion) {
+  const parameters = getStatementColumns(modelStructure).map((column) =>
+    toParameter(
+      column,
+      record.hasOwnProperty(column) ? record[column] : null,
+      modelStructure,
+      modelStructure.dialect
+    )
+  );
 
-  return null;
+  parameters.push({
+    name: "expected_version",
+    type: "integer",
+    value: expectedVersion,
+  });
+
+  return parameters;
 }
 
 /**
- * Extract field name from edit key
+ * One typed parameter, its value written the way the dialect expects
  */
-function extractFieldNameFromEditKey(editKey) {
-  if (editKey.includes("::")) {
-    const parts = editKey.split("::");
-    return parts[parts.length - 1];
-  } else if (editKey.includes("-")) {
-    const lastDashIndex = editKey.lastIndexOf("-");
-    return editKey.substring(lastDashIndex + 1);
-  }
-
-  return editKey;
+function toParameter(column, value, modelStructure, dialect) {
+  const type = getParameterType(column, value, modelStructure);
+
+  return {
+    name: column,
+    type,
+    value:
+      value === undefined ? null : formatParameterValue(dialect, type, value),
+  };
 }
 
 /**
- * Find source row by primary key - ENHANCED VERSION
+ * Infer the parameter type the backend should bind a value as; writeback
+ * columns use their configured type so null values stay typed
  */
-function findRowByPrimaryKey(
-  baseRows,
-  baseColumns,
-  primaryKey,
-  modelStructure
-) {
-  console.log(`🔍 Looking for row with primaryKey: ${primaryKey}`);
-
-  const parts = primaryKey.split("|");
-  const rowIndexPart = parts[parts.length - 1];
-  const keyParts = parts.slice(0, -1);
-
-  const rowIndexMatch = rowIndexPart.match(/row-(\d+)/);
-  if (rowIndexMatch) {
-    const rowIndex = parseInt(rowIndexMatch[1]);
-
-    if (rowIndex >= 0 && rowIndex < baseRows.length) {
-      const row = baseRows[rowIndex];
-
-      if (row[0] && row[0].qText && keyParts.length > 0) {
-        const firstKey = keyParts[0];
-        const actualValue = row[0].qText;
-
-        if (actualValue === firstKey) {
-          console.log(`✅ Row matched successfully!`);
-          return row;
-        }
-      }
-      return row;
-    }
+function getParameterType(column, value, modelStructure) {
+  if (modelStructure?.writebackTypes?.[column]) {
+    return modelStructure.writebackTypes[column];
   }
-
-  if (keyParts.length > 0) {
-    const searchKey = keyParts[0];
-    for (let i = 0; i < baseRows.length; i++) {
-      const row = baseRows[i];
-      if (row[0] && row[0].qText === searchKey) {
-        console.log(`✅ Found matching row by search key`);
-        return row;
-      }
-    }
+  if (
+    column === "created_at" ||
+    column === "modified_at" ||
+    column === "changed_at"
+  ) {
+    return "timestamp";
   }
-
-  console.log(`❌ No matching row found for primaryKey: ${primaryKey}`);
-  return null;
-}
-
-/**
- * Extract value from row based on index and type
- */
-function extractValueFromRow(row, index, type) {
-  if (!row[index]) return null;
-
-  if (type === "measure") {
-    const num = parseFloat(row[index].qNum);
-    return isNaN(num) ? null : num;
-  } else {
-    return row[index].qText || null;
+  if (column === "version") {
+    return "integer";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "numeric";
+  }
+  if (typeof value === "boolean") {
+    return "boolean";
   }
+  return "text";
 }
 
 /**
- * UPDATED: Generate clean SQL for new schema with UPSERT
+ * Map the storage response onto per-record results.
+ * The automation may report a `results` array (one entry per record, in
+ * batch order); otherwise the transaction succeeded as a whole.
+ * A record is a version conflict when the backend says so (`conflict`) or
+ * when the statement touched no row (`rowCount: 0`); the backend may send
+ * the stored record as `current` so the user can compare.
  */
-function generateCleanSQL(record, modelStructure) {
-  // Only include essential columns
-  const essentialColumns = [
-    ...modelStructure.keyDimensions.map((d) => d.dbColumn),
-    ...modelStructure.writebackFields,
-    ...modelStructure.auditFields,
-  ];
+function buildRecordResults(dbRecords, responseData, layout) {
+  const reported = Array.isArray(responseData?.results)
+    ? responseData.results
+    : null;
+
+  return dbRecords.map((entry, index) => {
+    const outcome = reported ? reported[index] : null;
+    const conflict =
+      !!outcome && (outcome.conflict === true || outcome.rowCount === 0);
+    const success = outcome ? outcome.success !== false && !conflict : true;
+
+    const result = {
+      primaryKey: entry.primaryKey,
+      columns: entry.columns,
+      success,
+      version: success ? entry.record.version : null,
+      error: success
+        ? null
+        : conflict
+        ? "Record was changed by someone else"
+        : outcome.error || outcome.message || "Record was not saved",
+    };
 
-  // Filter record to only include essential columns
-  const cleanRecord = {};
-  essentialColumns.forEach((column) => {
-    if (record.hasOwnProperty(column)) {
-      cleanRecord[column] = record[column];
+    if (conflict) {
+      result.conflict = true;
+      result.expectedVersion = entry.expectedVersion;
+      result.currentVersion = outcome.current?.version ?? null;
+      result.currentValues = outcome.current
+        ? mapRecordToWritebackColumns(outcome.current, layout)
+        : null;
     }
-  });
 
-  const columns = Object.keys(cleanRecord);
-  const values = columns.map((column) => {
-    const value = cleanRecord[column];
-
-    if (value === null || value === undefined) {
-      return "NULL";
-    } else if (typeof value === "number") {
-      return value;
-    } else if (typeof value === "string") {
-      return `'${value.replace(/'/g, "''")}'`;
-    } else {
-      return `'${String(value).replace(/'/g, "''")}'`;
-    }
+    return result;
   });
-
-  // Use UPSERT for clean data handling
-  const sql = `
-INSERT INTO writeback_data (
-  ${columns.join(",\n  ")}
-) VALUES (
-  ${values.join(",\n  ")}
-)
-ON CONFLICT (accountid, session_id) 
-DO UPDATE SET
-  model_feedback = EXCLUDED.model_feedback,
-  comments = EXCLUDED.comments,
-  modified_by = EXCLUDED.modified_by,
-  modified_at = EXCLUDED.modified_at,
-  version = EXCLUDED.version;`;
-
-  return sql;
 }
 
 /**
- * Send database records to Qlik Automation for PostgreSQL insertion
+ * Map a stored record (database column names) onto writeback column names
  */
-async function sendToPostgreSQLAutomation(dbRecords, layout, context) {
-  if (
-    !ENV.DB_SAVE_WEBHOOK_URL ||
-    ENV.DB_SAVE_WEBHOOK_URL.includes("YOUR_TENANT")
-  ) {
-    throw new Error(
-      "Database webhook URL not configured. Please update config/env.js"
-    );
-  }
-
-  console.log("Sending to PostgreSQL automation (CLEAN SCHEMA):", {
-    webhookUrl: ENV.DB_SAVE_WEBHOOK_URL,
-    recordCount: dbRecords.length,
-    user: context.user,
+function mapRecordToWritebackColumns(record, layout) {
+  const values = {};
+
+  const columnMapping = getWritebackColumnMapping(layout);
+
+  (layout?.writebackConfig?.columns || []).forEach((column) => {
+    const dbColumn = columnMapping[column.columnName];
+    if (dbColumn && record.hasOwnProperty(dbColumn)) {
+      values[column.columnName] = coerceStoredValue(
+        record[dbColumn],
+        column.columnType
+      );
+    }
   });
 
-  // Analyze model structure for SQL generation
-  const modelStructure = analyzeModelStructure(layout);
-
-  // Generate clean SQL with UPSERT
-  const sql = generateCleanSQL(dbRecords[0], modelStructure);
+  return values;
+}
 
-  const payload = {
-    query: sql,
-    app_id: context.appId,
+/**
+ * Build the save payload: one statement template plus a typed parameter
+ * set per record, executed by the backend inside a single transaction
+ */
+function buildSavePayload(dbRecords, modelStructure, appId) {
+  return {
+    protocol: "parameterized",
+    dialect: modelStructure.dialect.name,
+    parameter_types: modelStructure.dialect.types,
+    statement: generateUpsertStatement(modelStructure),
+    parameters: dbRecords.map((entry) =>
+      buildStatementParameters(
+        entry.record,
+        modelStructure,
+        entry.expectedVersion
+      )
+    ),
+    transaction: true,
+    records: dbRecords.map((entry, index) => ({
+      index,
+      primary_key: entry.primaryKey,
+      expected_version: entry.expectedVersion,
+    })),
+    rows: dbRecords.map((entry) => entry.record),
+    // Change log rows for the same transaction; record_index ties each one
+    // to its UPSERT so a record that lost a version check logs nothing
+    audit: {
+      statement: generateAuditStatement(modelStructure),
+      parameters: dbRecords.flatMap((entry) =>
+        buildAuditParameters(entry, modelStructure)
+      ),
+      records: dbRecords.flatMap((entry, index) =>
+        entry.changes.map((change) => ({
+          record_index: index,
+          column_name: change.dbColumn,
+        }))
+      ),
+    },
+    app_id: appId,
     model_info: {
       primary_key: modelStructure.primaryKey?.name,
       key_dimensions: modelStructure.keyDimensions.map((d) => d.name),
+      table_name: modelStructure.tableName,
+      audit_table_name: modelStructure.auditTableName,
+      dialect: modelStructure.dialect.name,
+      key_columns: modelStructure.conflictKeys,
       writeback_fields: modelStructure.writebackFields,
       total_columns:
         modelStructure.keyDimensions.length +
@@ -963,60 +920,80 @@ async function sendToPostgreSQLAutomation(dbRecords, layout, context) {
         modelStructure.auditFields.length,
     },
   };
+}
 
-  console.log("🎯 Clean database payload:", JSON.stringify(payload, null, 2));
+/**
+ * Send database records to the configured storage adapter
+ * Resolves to one { primaryKey, columns, success, version, error } result
+ * per record; version conflicts also carry conflict details
+ */
+async function sendBatchToStorage(dbRecords, layout, app, context) {
+  const adapter = getStorageAdapter(layout, app);
 
-  const requestOptions = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...(ENV.DB_SAVE_TOKEN &&
-        !ENV.DB_SAVE_TOKEN.includes("your_actual") && {
-          "X-Execution-Token": ENV.DB_SAVE_TOKEN,
-        }),
-    },
-    body: JSON.stringify(payload),
-  };
+  log.info("Sending batch to storage adapter", {
+    adapter: adapter.name,
+    recordCount: dbRecords.length,
+    user: context.user,
+  });
 
-  const response = await fetch(ENV.DB_SAVE_WEBHOOK_URL, requestOptions);
+  // Analyze model structure for SQL generation
+  const modelStructure = analyzeModelStructure(layout);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("PostgreSQL automation error:", errorText);
-    throw new Error(
-      `HTTP ${response.status}: ${response.statusText} - ${errorText}`
-    );
-  }
+  const payload = buildSavePayload(dbRecords, modelStructure, context.appId);
+
+  log.debug("Save payload", payload);
 
   let responseData;
   try {
-    responseData = await response.json();
-  } catch {
-    responseData = { success: true, message: await response.text() };
+    responseData = await adapter.save(payload);
+  } catch (error) {
+    // fetch rejects with a TypeError when the request never reached the
+    // server (offline, DNS, CORS) - the batch can be replayed later
+    if (error.retryable === undefined) {
+      error.retryable = error instanceof TypeError;
+    }
+    throw error;
   }
 
-  console.log("PostgreSQL automation response:", responseData);
-  return responseData;
+  log.debug("Storage adapter response", responseData);
+
+  if (responseData?.success === false && !Array.isArray(responseData.results)) {
+    // The transaction was rolled back, so no record persisted
+    const reason = responseData.error || responseData.message || "Rolled back";
+    return dbRecords.map((entry) => ({
+      primaryKey: entry.primaryKey,
+      columns: entry.columns,
+      success: false,
+      error: reason,
+    }));
+  }
+
+  return buildRecordResults(dbRecords, responseData, layout);
 }
 
 /**
  * Get or create session ID
  */
 function getOrCreateSessionId() {
+  const createSessionId = () =>
+    `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // Dry runs may be called outside a browser
+  if (typeof sessionStorage === "undefined") return createSessionId();
+
   let sessionId = sessionStorage.getItem("qlik_writeback_session");
   if (!sessionId) {
-    sessionId = `session_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
+    sessionId = createSessionId();
     sessionStorage.setItem("qlik_writeback_session", sessionId);
   }
   return sessionId;
 }
 
 /**
- * Get consistent app ID
+ * App id records are stored under - saves, reads, the outbox and the
+ * schema check must all use this one
  */
-function getConsistentAppId(app, layout) {
+export function getConsistentAppId(app, layout) {
   if (app && app.id) {
     return app.id;
   } else if (layout?.qInfo?.qId) {
@@ -1044,41 +1021,28 @@ function getBaseColumns(layout) {
 }
 
 /**
- * Get base rows from hypercube layout
+ * Get base rows from hypercube layout (all data pages in the layout)
  */
 function getBaseRows(layout) {
-  return layout?.qHyperCube?.qDataPages?.[0]?.qMatrix || [];
+  return getRows(layout);
 }
 
 /**
- * Test the database connection
+ * Test the database connection through the configured storage adapter
  */
-export async function testDatabaseConnection() {
+export async function testDatabaseConnection(layout, app) {
   try {
-    const testPayload = {
-      query: "SELECT 1 as test_connection;",
-      app_id: "test_app",
-    };
-
-    const response = await fetch(ENV.DB_SAVE_WEBHOOK_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        ...(ENV.DB_SAVE_TOKEN &&
-          !ENV.DB_SAVE_TOKEN.includes("your_actual") && {
-            "X-Execution-Token": ENV.DB_SAVE_TOKEN,
-          }),
-      },
-      body: JSON.stringify(testPayload),
-    });
+    const adapter = getStorageAdapter(layout, app);
+    const response = await adapter.testConnection("save");
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw new Error(`HTTP ${response.status}`);
     }
 
     return {
       success: true,
       message: "Database connection test successful",
+      adapter: adapter.name,
       status: response.status,
       timestamp: new Date().toISOString(),
     };
@@ -1,24 +1,163 @@
-// utils/sortUtils.js
+// utils/sortUtils.js - Engine-side sorting for base columns, local sorting
+// for writeback columns (the engine does not know their values)
+
+function getColumnCount(layout) {
+  const hyperCube = layout?.qHyperCube || {};
+  return (
+    (hyperCube.qDimensionInfo || []).length +
+    (hyperCube.qMeasureInfo || []).length
+  );
+}
+
+function getInterColumnSortOrder(layout) {
+  const columnCount = getColumnCount(layout);
+  const current = (
+    layout?.qHyperCube?.qEffectiveInterColumnSortOrder || []
+  ).filter((index) => index < columnCount);
+
+  // Append any columns the engine did not report, in natural order
+  for (let i = 0; i < columnCount; i++) {
+    if (!current.includes(i)) current.push(i);
+  }
+  return current;
+}
+
+function moveToFront(order, columnIndex) {
+  return [columnIndex, ...order.filter((index) => index !== columnIndex)];
+}
+
+/**
+ * Read the current sort from the engine layout.
+ * @param {Object} layout - Qlik layout with qHyperCube
+ * @returns {{columnIndex: number, ascending: boolean}|null} Primary sort
+ *   column, or null when the engine reports no sort
+ */
+export function getEngineSortState(layout) {
+  const hyperCube = layout?.qHyperCube;
+  const sortOrder = hyperCube?.qEffectiveInterColumnSortOrder || [];
+  if (sortOrder.length === 0) return null;
+
+  const columnInfo = [
+    ...(hyperCube.qDimensionInfo || []),
+    ...(hyperCube.qMeasureInfo || []),
+  ];
+  const columnIndex = sortOrder[0];
+  const indicator = columnInfo[columnIndex]?.qSortIndicator;
+
+  if (!indicator || indicator === "N") return null;
+  return { columnIndex, ascending: indicator !== "D" };
+}
 
 /**
- * Sorts Qlik hypercube rows by a single column, using either qNum or qText.
- * @param {Array} rows - 2D array from qMatrix
- * @param {number|null} sortBy - column index to sort on (null disables sort)
- * @param {boolean} sortDir - true for ascending, false for descending
- * @returns {Array} Sorted array of rows
+ * Build the soft patches that make a column the primary engine sort.
+ * @param {Object} layout - Qlik layout with qHyperCube
+ * @param {number} columnIndex - base column index (dimensions, then measures)
+ * @param {boolean} ascending - sort direction
+ * @returns {Array} Patches for model.applyPatches
  */
-export function sortRows(rows, sortBy, sortDir = true) {
-  // If no column is selected for sorting (null), return as-is (let Qlik handle it)
-  if (sortBy === null) return rows;
-
-  // Create a shallow copy and sort
-  return [...rows].sort((a, b) => {
-    // Use qNum if it's a valid number; fallback to qText
-    const vA = !isNaN(a[sortBy].qNum) ? a[sortBy].qNum : a[sortBy].qText;
-    const vB = !isNaN(b[sortBy].qNum) ? b[sortBy].qNum : b[sortBy].qText;
-    if (vA === vB) return 0;
-    // Compare values; ascending if sortDir true, else descending
-    if (sortDir) return vA > vB ? 1 : -1;
-    return vA < vB ? 1 : -1;
-  });
+export function buildSortPatches(layout, columnIndex, ascending) {
+  const dimensionCount = (layout?.qHyperCube?.qDimensionInfo || []).length;
+  const direction = ascending ? 1 : -1;
+
+  let sortPatch;
+  if (columnIndex < dimensionCount) {
+    sortPatch = {
+      qOp: "replace",
+      qPath: `/qHyperCubeDef/qDimensions/${columnIndex}/qDef/qSortCriterias`,
+      qValue: JSON.stringify([
+        {
+          qSortByNumeric: direction,
+          qSortByAscii: direction,
+          qSortByLoadOrder: 1,
+        },
+      ]),
+    };
+  } else {
+    const measureIndex = columnIndex - dimensionCount;
+    sortPatch = {
+      qOp: "replace",
+      qPath: `/qHyperCubeDef/qMeasures/${measureIndex}/qSortBy`,
+      qValue: JSON.stringify({ qSortByNumeric: direction }),
+    };
+  }
+
+  return [
+    sortPatch,
+    {
+      qOp: "replace",
+      qPath: "/qHyperCubeDef/qInterColumnSortOrder",
+      qValue: JSON.stringify(
+        moveToFront(getInterColumnSortOrder(layout), columnIndex)
+      ),
+    },
+  ];
+}
+
+/**
+ * Build the soft patch that restores the natural column sort priority.
+ * @param {Object} layout - Qlik layout with qHyperCube
+ * @returns {Array} Patches for model.applyPatches
+ */
+export function buildResetSortPatches(layout) {
+  const columnCount = getColumnCount(layout);
+
+  return [
+    {
+      qOp: "replace",
+      qPath: "/qHyperCubeDef/qInterColumnSortOrder",
+      qValue: JSON.stringify([...Array(columnCount).keys()]),
+    },
+  ];
+}
+
+/**
+ * Apply an engine sort. Soft patches keep the sort in this session, so
+ * viewers without edit rights can sort too.
+ * @param {Object} model - nebula.js model (GenericObject)
+ * @param {Array} patches - from buildSortPatches / buildResetSortPatches
+ */
+export async function applyEngineSort(model, patches) {
+  await model.applyPatches(patches, true);
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function compareValues(a, b) {
+  const numA = typeof a === "number" ? a : Number(a);
+  const numB = typeof b === "number" ? b : Number(b);
+
+  if (!Number.isNaN(numA) && !Number.isNaN(numB) && a !== "" && b !== "") {
+    return numA - numB;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Sorts loaded rows by a writeback column value. Numbers compare
+ * numerically, everything else as text; empty values sort last.
+ * @param {Array} rows - rows to sort
+ * @param {Function} getValue - (row) => displayed writeback value
+ * @param {boolean} ascending - sort direction
+ * @returns {Array} Sorted copy of rows
+ */
+export function sortRowsByValue(rows, getValue, ascending = true) {
+  const direction = ascending ? 1 : -1;
+
+  return rows
+    .map((row, index) => ({ row, index, value: getValue(row) }))
+    .sort((a, b) => {
+      const aEmpty = isEmptyValue(a.value);
+      const bEmpty = isEmptyValue(b.value);
+      if (aEmpty || bEmpty) {
+        // Keep empties last in both directions, stable otherwise
+        if (aEmpty === bEmpty) return a.index - b.index;
+        return aEmpty ? 1 : -1;
+      }
+
+      const result = compareValues(a.value, b.value);
+      return result === 0 ? a.index - b.index : result * direction;
+    })
+    .map((entry) => entry.row);
 }
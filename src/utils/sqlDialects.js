@@ -0,0 +1,330 @@
+// utils/sqlDialects.js - UPSERT, INSERT and CREATE TABLE forms per database
+import { createLogger } from "./logger";
+
+const log = createLogger("save");
+
+/**
+ * The save payload carries statement templates the backend runs with bound
+ * parameters. Each dialect decides how those templates are written:
+ *   postgres   INSERT ... ON CONFLICT DO UPDATE, "identifiers", $1..$n
+ *   snowflake  MERGE, "identifiers", ? placeholders
+ *   sqlserver  MERGE ... WITH (HOLDLOCK), [identifiers], @p1..@pn
+ *   mysql      INSERT ... SELECT ... ON DUPLICATE KEY UPDATE, `identifiers`,
+ *              ? placeholders
+ *
+ * Every placeholder appears exactly once, in parameter order, so positional
+ * "?" placeholders bind the same parameter list as numbered ones.
+ *
+ * All forms keep the optimistic concurrency rule: an existing row is only
+ * updated while its stored version matches the expected version (the last
+ * parameter), so a record that touched no row lost the check.
+ *
+ * `types` maps the generic parameter types (text, numeric, integer, boolean,
+ * date, timestamp) onto the database's own type names, for backends that
+ * bind parameters by declared type and for the generated table DDL.
+ * `keyTextType` is used for text key columns, which have to fit in a
+ * unique index.
+ *
+ * Timestamps are created as UTC ISO-8601 strings ("...T16:07:54.000Z").
+ * `formatTimestamp` turns them into a literal the timestamp column
+ * accepts: MySQL DATETIME takes no zone, so it gets the UTC wall-clock
+ * time, and SQL Server DATETIMEOFFSET gets an explicit +00:00 offset.
+ */
+
+export const SQL_DIALECTS = {
+  POSTGRES: "postgres",
+  SNOWFLAKE: "snowflake",
+  SQLSERVER: "sqlserver",
+  MYSQL: "mysql",
+};
+
+/**
+ * Quote an identifier for the dialect - schema-qualified names are quoted
+ * part by part ("schema"."table")
+ */
+export function quoteIdentifier(dialect, identifier) {
+  return identifier
+    .split(".")
+    .map((part) => dialect.quote(part))
+    .join(".");
+}
+
+/**
+ * "2026-10-19T16:07:54.000Z" -> "2026-10-19 16:07:54.000" (UTC)
+ */
+function toUtcWallClock(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return iso;
+  return date.toISOString().slice(0, 23).replace("T", " ");
+}
+
+/**
+ * PostgreSQL: INSERT ... ON CONFLICT DO UPDATE ... WHERE version matches
+ */
+function buildOnConflictUpsert(dialect, spec) {
+  const q = (identifier) => quoteIdentifier(dialect, identifier);
+  const { columns, keyColumns, updateColumns } = spec;
+  const placeholders = columns.map((column, index) =>
+    dialect.placeholder(index + 1)
+  );
+  const expectedVersion = dialect.placeholder(columns.length + 1);
+
+  return `
+INSERT INTO ${q(spec.tableName)} AS target (
+  ${columns.map(q).join(",\n  ")}
+) VALUES (
+  ${placeholders.join(",\n  ")}
+)
+ON CONFLICT (${keyColumns.map(q).join(", ")})
+DO UPDATE SET
+  ${updateColumns
+    .map((column) => `${q(column)} = EXCLUDED.${q(column)}`)
+    .join(",\n  ")}
+WHERE target.${q("version")} IS NOT DISTINCT FROM ${expectedVersion}
+RETURNING target.${q("version")};`;
+}
+
+/**
+ * Snowflake and SQL Server: MERGE from a one-row source. SQL Server takes a
+ * HOLDLOCK so two concurrent MERGEs cannot both insert the same key, and
+ * has no IS NOT DISTINCT FROM before 2022, so the version check is spelled
+ * out.
+ */
+function buildMergeUpsert(dialect, spec) {
+  const q = (identifier) => quoteIdentifier(dialect, identifier);
+  const isSqlServer = dialect.name === SQL_DIALECTS.SQLSERVER;
+  const { columns, keyColumns, updateColumns } = spec;
+
+  const sourceColumns = [...columns, "expected_version"].map(
+    (column, index) => `${dialect.placeholder(index + 1)} AS ${q(column)}`
+  );
+  const targetVersion = `target.${q("version")}`;
+  const sourceVersion = `source.${q("expected_version")}`;
+  const versionMatches = isSqlServer
+    ? `(${targetVersion} = ${sourceVersion} OR (${targetVersion} IS NULL AND ${sourceVersion} IS NULL))`
+    : `${targetVersion} IS NOT DISTINCT FROM ${sourceVersion}`;
+
+  return `
+MERGE INTO ${q(spec.tableName)}${isSqlServer ? " WITH (HOLDLOCK)" : ""} AS target
+USING (
+  SELECT
+    ${sourceColumns.join(",\n    ")}
+) AS source
+ON ${keyColumns
+    .map((column) => `target.${q(column)} = source.${q(column)}`)
+    .join(" AND ")}
+WHEN MATCHED AND ${versionMatches} THEN UPDATE SET
+  ${updateColumns
+    .map((column) => `${q(column)} = source.${q(column)}`)
+    .join(",\n  ")}
+WHEN NOT MATCHED THEN INSERT (
+  ${columns.map(q).join(",\n  ")}
+) VALUES (
+  ${columns.map((column) => `source.${q(column)}`).join(",\n  ")}
+)${isSqlServer ? `\nOUTPUT inserted.${q("version")}` : ""};`;
+}
+
+/**
+ * MySQL: INSERT ... SELECT ... ON DUPLICATE KEY UPDATE. MySQL has no WHERE
+ * on the update, so every column keeps its stored value unless the version
+ * matches. Assignments run left to right and see earlier ones, so version
+ * is assigned last. The key columns must form the table's primary or a
+ * unique key.
+ */
+function buildOnDuplicateKeyUpsert(dialect, spec) {
+  const q = (identifier) => quoteIdentifier(dialect, identifier);
+  const { columns, updateColumns } = spec;
+  const table = q(spec.tableName);
+
+  const sourceColumns = [...columns, "expected_version"].map(
+    (column, index) => `${dialect.placeholder(index + 1)} AS ${q(column)}`
+  );
+  const versionMatches = `${table}.${q("version")} <=> source.${q(
+    "expected_version"
+  )}`;
+  const orderedUpdates = [
+    ...updateColumns.filter((column) => column !== "version"),
+    ...updateColumns.filter((column) => column === "version"),
+  ];
+
+  return `
+INSERT INTO ${table} (
+  ${columns.map(q).join(",\n  ")}
+)
+SELECT
+  ${columns.map((column) => `source.${q(column)}`).join(",\n  ")}
+FROM (
+  SELECT
+    ${sourceColumns.join(",\n    ")}
+) AS source
+ON DUPLICATE KEY UPDATE
+  ${orderedUpdates
+    .map(
+      (column) =>
+        `${q(column)} = IF(${versionMatches}, source.${q(column)}, ${table}.${q(
+          column
+        )})`
+    )
+    .join(",\n  ")};`;
+}
+
+const DIALECTS = {
+  [SQL_DIALECTS.POSTGRES]: {
+    name: SQL_DIALECTS.POSTGRES,
+    label: "PostgreSQL",
+    quote: (identifier) => `"${identifier}"`,
+    placeholder: (position) => `$${position}`,
+    types: {
+      text: "text",
+      numeric: "numeric",
+      integer: "integer",
+      boolean: "boolean",
+      date: "date",
+      timestamp: "timestamptz",
+    },
+    keyTextType: "text",
+    formatTimestamp: (iso) => iso,
+    buildUpsert: buildOnConflictUpsert,
+  },
+  [SQL_DIALECTS.SNOWFLAKE]: {
+    name: SQL_DIALECTS.SNOWFLAKE,
+    label: "Snowflake",
+    quote: (identifier) => `"${identifier}"`,
+    placeholder: () => "?",
+    types: {
+      text: "VARCHAR",
+      numeric: "NUMBER(38, 10)",
+      integer: "INTEGER",
+      boolean: "BOOLEAN",
+      date: "DATE",
+      timestamp: "TIMESTAMP_TZ",
+    },
+    keyTextType: "VARCHAR",
+    formatTimestamp: (iso) => iso,
+    buildUpsert: buildMergeUpsert,
+  },
+  [SQL_DIALECTS.SQLSERVER]: {
+    name: SQL_DIALECTS.SQLSERVER,
+    label: "SQL Server",
+    quote: (identifier) => `[${identifier}]`,
+    placeholder: (position) => `@p${position}`,
+    types: {
+      text: "NVARCHAR(MAX)",
+      numeric: "DECIMAL(38, 10)",
+      integer: "INT",
+      boolean: "BIT",
+      date: "DATE",
+      timestamp: "DATETIMEOFFSET",
+    },
+    keyTextType: "NVARCHAR(450)",
+    formatTimestamp: (iso) => `${toUtcWallClock(iso)} +00:00`,
+    buildUpsert: buildMergeUpsert,
+  },
+  [SQL_DIALECTS.MYSQL]: {
+    name: SQL_DIALECTS.MYSQL,
+    label: "MySQL",
+    quote: (identifier) => `\`${identifier}\``,
+    placeholder: () => "?",
+    types: {
+      text: "TEXT",
+      numeric: "DECIMAL(38, 10)",
+      integer: "INT",
+      boolean: "BOOLEAN",
+      date: "DATE",
+      timestamp: "DATETIME(3)",
+    },
+    keyTextType: "VARCHAR(255)",
+    formatTimestamp: toUtcWallClock,
+    buildUpsert: buildOnDuplicateKeyUpsert,
+  },
+};
+
+/**
+ * Look up a dialect by name, falling back to PostgreSQL
+ */
+export function getSqlDialectByName(name) {
+  if (!name) return DIALECTS[SQL_DIALECTS.POSTGRES];
+  if (!DIALECTS[name]) {
+    log.warn(`Unknown SQL dialect "${name}", using PostgreSQL`);
+    return DIALECTS[SQL_DIALECTS.POSTGRES];
+  }
+  return DIALECTS[name];
+}
+
+/**
+ * Get the dialect selected in the property panel (PostgreSQL by default)
+ */
+export function getSqlDialect(layout) {
+  return getSqlDialectByName(layout?.writebackConfig?.sqlDialect);
+}
+
+/**
+ * Format a parameter value for the dialect - only timestamps differ
+ */
+export function formatParameterValue(dialect, type, value) {
+  if (type !== "timestamp" || value === null || value === undefined) {
+    return value;
+  }
+  return dialect.formatTimestamp(String(value));
+}
+
+/**
+ * Build the UPSERT statement template for a table.
+ * @param {Object} spec - { tableName, columns, keyColumns, updateColumns };
+ *   placeholders follow `columns`, then the expected version
+ */
+export function buildUpsertStatement(dialect, spec) {
+  if (spec.keyColumns.length === 0) {
+    throw new Error("No key columns detected - cannot build UPSERT statement");
+  }
+
+  return dialect.buildUpsert(dialect, spec);
+}
+
+/**
+ * Build a plain INSERT statement template (append-only tables)
+ */
+export function buildInsertStatement(dialect, tableName, columns) {
+  const q = (identifier) => quoteIdentifier(dialect, identifier);
+  const placeholders = columns.map((column, index) =>
+    dialect.placeholder(index + 1)
+  );
+
+  return `
+INSERT INTO ${q(tableName)} (
+  ${columns.map(q).join(",\n  ")}
+) VALUES (
+  ${placeholders.join(",\n  ")}
+);`;
+}
+
+/**
+ * Build a CREATE TABLE statement.
+ * @param {Object} spec - { tableName, columns: [{ name, type, nullable }],
+ *   uniqueKey }; types are the generic parameter types
+ */
+export function buildCreateTableStatement(dialect, spec) {
+  const q = (identifier) => quoteIdentifier(dialect, identifier);
+  const uniqueKey = spec.uniqueKey || [];
+
+  const definitions = spec.columns.map((column) => {
+    const type =
+      column.type === "text" && uniqueKey.includes(column.name)
+        ? dialect.keyTextType
+        : dialect.types[column.type] || dialect.types.text;
+    return `${q(column.name)} ${type}${column.nullable ? "" : " NOT NULL"}`;
+  });
+
+  if (uniqueKey.length > 0) {
+    const baseName = spec.tableName.split(".").pop();
+    definitions.push(
+      `CONSTRAINT ${dialect.quote(`${baseName}_key`)} UNIQUE (${uniqueKey
+        .map(q)
+        .join(", ")})`
+    );
+  }
+
+  return `CREATE TABLE ${q(spec.tableName)} (
+  ${definitions.join(",\n  ")}
+);`;
+}
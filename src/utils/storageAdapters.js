@@ -0,0 +1,762 @@
+// utils/storageAdapters.js - Pluggable storage backends for writeback data
+import { getConnectionConfig, getAuthOptions } from "./connectionConfig";
+import { timedFetch, recordResponseShape } from "./connectionDiagnostics";
+import { createLogger } from "./logger";
+import { compareTimestamps } from "./timeUtils";
+
+const log = createLogger("storage");
+
+/**
+ * Save payloads never carry executable SQL: they hold a statement template
+ * with placeholders plus one typed parameter set per record
+ * ({ name, type, value }), and the structured `rows` themselves. The
+ * template is written in the SQL `dialect` chosen in the property panel
+ * (postgres, snowflake, sqlserver, mysql - see sqlDialects.js) and
+ * `parameter_types` maps each parameter type onto that database's type.
+ *
+ * Every adapter implements the same interface:
+ *   save(payload)            -> parsed backend response for a save batch
+ *   load({ appId, action, asOf })
+ *                            -> { success, csvContent, fileName, appId, message }
+ *                               action "as_of" returns each record as it was
+ *                               at the asOf timestamp instead of the latest;
+ *                               asOf is UTC ISO-8601, like stored audit times
+ *   history({ appId, rowKey, column })
+ *                            -> same shape as load, one row per stored change;
+ *                               rowKey/column narrow it to one row or cell
+ *   describeTable({ appId, tableName })
+ *                            -> same shape as load: a header row
+ *                               ["column_name", "data_type"] and one row per
+ *                               column of the stored table
+ *   testConnection(target)   -> { ok, status }
+ *
+ * Endpoint URLs and auth come from the Connection section of the property
+ * panel (see connectionConfig.js); the app is passed in so tokens can be
+ * read from Qlik variables when a request is sent.
+ *
+ * csvContent is always a 2D array: the header row followed by the data rows.
+ *
+ * Save payloads also carry `audit`: an append-only change log INSERT with
+ * one parameter set per edited cell. Backends run it in the same
+ * transaction, skipping entries whose `record_index` lost its version check.
+ *
+ * A save response may list per-record `results` in batch order. A record
+ * whose statement touched no row ({ rowCount: 0 } or { conflict: true })
+ * lost an optimistic concurrency check; include the stored row as
+ * `current` so the client can show it.
+ */
+
+export const STORAGE_ADAPTERS = {
+  AUTOMATION: "automation",
+  REST: "rest",
+  LOCAL: "local",
+};
+
+/**
+ * Get storage configuration from layout
+ */
+export function getStorageConfig(layout) {
+  return {
+    adapter: layout?.storage?.adapter || STORAGE_ADAPTERS.AUTOMATION,
+    restUrl: (layout?.storage?.restUrl || "").replace(/\/+$/, ""),
+  };
+}
+
+/**
+ * Endpoints the configured adapter talks to, for diagnostics.
+ * Unconfigured endpoints are null; tokens are never included.
+ */
+export function getResolvedEndpoints(layout) {
+  const config = getStorageConfig(layout);
+  const connection = getConnectionConfig(layout);
+
+  switch (config.adapter) {
+    case STORAGE_ADAPTERS.REST:
+      return {
+        adapter: config.adapter,
+        save: config.restUrl ? `${config.restUrl}/save` : null,
+        read: config.restUrl ? `${config.restUrl}/load` : null,
+        authMode: connection.authMode,
+        tokenVariable: connection.tokenVariable,
+      };
+    case STORAGE_ADAPTERS.LOCAL:
+      return {
+        adapter: config.adapter,
+        save: "Browser local storage",
+        read: "Browser local storage",
+        authMode: "none",
+        tokenVariable: "",
+      };
+    case STORAGE_ADAPTERS.AUTOMATION:
+    default:
+      return {
+        adapter: STORAGE_ADAPTERS.AUTOMATION,
+        save: connection.saveUrl || null,
+        read: connection.readUrl || null,
+        authMode: connection.authMode,
+        tokenVariable: connection.tokenVariable,
+      };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Qlik Automation webhook adapter (original behaviour)
+// ---------------------------------------------------------------------------
+
+/**
+ * Throw a helpful error when a webhook URL is missing or still holds the
+ * template value
+ */
+function assertWebhookConfigured(url, label) {
+  if (!url || url.includes("YOUR_TENANT")) {
+    throw new Error(
+      `${label} webhook URL not configured. Please set it in the Connection section`
+    );
+  }
+}
+
+/**
+ * Parse a save response, tolerating plain-text bodies
+ */
+async function parseSaveResponse(response) {
+  const text = await response.text();
+
+  if (!response.ok) {
+    log.error("Storage save failed", { status: response.status });
+    log.debug("Storage save error body", { body: text });
+    const error = new Error(
+      `HTTP ${response.status}: ${response.statusText} - ${text}`
+    );
+    // Server-side and throttling failures are worth retrying later
+    error.retryable =
+      response.status >= 500 || [408, 429].includes(response.status);
+    throw error;
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    recordResponseShape("save", "json");
+    return parsed;
+  } catch {
+    recordResponseShape("save", "text");
+    return { success: true, message: text };
+  }
+}
+
+/**
+ * Split CSV text into a 2D array - simple parser that handles quoted values
+ */
+function parseCsvText(csvText) {
+  const lines = csvText.trim().split("\n");
+
+  return lines.map((line) => {
+    const result = [];
+    let current = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === "," && !inQuotes) {
+        result.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    result.push(current.trim());
+    return result;
+  });
+}
+
+/**
+ * Call the read automation webhook
+ */
+async function callReadAutomation(
+  readUrl,
+  auth,
+  appId,
+  action = "latest",
+  filters = {}
+) {
+  assertWebhookConfigured(readUrl, "Read");
+
+  const formData = new FormData();
+  formData.append("appId", appId);
+  formData.append("action", action);
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(name, value);
+    }
+  });
+
+  const requestOptions = {
+    method: "POST",
+    ...auth,
+    body: formData,
+  };
+
+  const response = await timedFetch("read", readUrl, requestOptions);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    log.error("Read automation failed", {
+      status: response.status,
+      statusText: response.statusText,
+    });
+    log.debug("Read automation error body", { body: errorText });
+    throw new Error(
+      `HTTP ${response.status}: ${response.statusText} - ${errorText}`
+    );
+  }
+
+  const textResponse = await response.text();
+  let responseData;
+  try {
+    responseData = JSON.parse(textResponse);
+  } catch {
+    // Handle non-JSON response
+    recordResponseShape("read", "text");
+    log.error("Non-JSON response received from read automation");
+    log.debug("Read automation response body", { body: textResponse });
+    throw new Error(`Invalid response format: ${textResponse}`);
+  }
+
+  let shape = "json";
+
+  // Handle array response (automation sometimes returns array)
+  if (Array.isArray(responseData) && responseData.length > 0) {
+    shape = "json-array";
+    [responseData] = responseData;
+
+    // If it's still a string after extracting from array, parse it
+    if (typeof responseData === "string") {
+      try {
+        responseData = JSON.parse(responseData);
+      } catch (e) {
+        // Don't throw error - we might already have the object structure we need
+      }
+    }
+  }
+
+  // Check if we got writeback data - handle both object and string formats
+  let hasSuccessStatus = false;
+  let csvContent = null;
+  let fileName = null;
+  let responseAppId = null;
+
+  if (typeof responseData === "object" && responseData.status === "success") {
+    hasSuccessStatus = true;
+    csvContent = responseData.csvContent;
+    fileName = responseData.fileName;
+    responseAppId = responseData.appId;
+  } else if (
+    typeof responseData === "string" &&
+    responseData.includes('"status": "success"')
+  ) {
+    hasSuccessStatus = true;
+    shape = "string-parse";
+
+    // Extract data manually from string - find the csvContent section
+    const csvStartIndex =
+      responseData.indexOf('"csvContent": "') + '"csvContent": "'.length;
+    const csvEndIndex = responseData.lastIndexOf('"\n}');
+
+    if (
+      csvStartIndex > '"csvContent": "'.length - 1 &&
+      csvEndIndex > csvStartIndex
+    ) {
+      const rawCsvContent = responseData.substring(csvStartIndex, csvEndIndex);
+
+      // Properly handle escaped characters
+      csvContent = rawCsvContent
+        .replace(/\\n/g, "\n") // Convert \n to actual newlines
+        .replace(/\\"/g, '"') // Convert \" to actual quotes
+        .replace(/\\r/g, "\r"); // Convert \r to actual carriage returns
+    }
+
+    // Extract other fields with simpler regex
+    const fileMatch = responseData.match(/"fileName":\s*"([^"]+)"/);
+    const appMatch = responseData.match(/"appId":\s*"([^"]+)"/);
+
+    if (fileMatch) [, fileName] = fileMatch;
+    if (appMatch) [, responseAppId] = appMatch;
+  }
+
+  recordResponseShape("read", shape);
+
+  if (hasSuccessStatus && csvContent) {
+    return {
+      success: true,
+      csvContent:
+        typeof csvContent === "string" ? parseCsvText(csvContent) : csvContent,
+      fileName,
+      appId: responseAppId,
+    };
+  }
+
+  if (hasSuccessStatus) {
+    // No data found - this is normal for new apps
+    return {
+      success: false,
+      message: "No writeback data found - this is expected for new apps",
+    };
+  }
+
+  log.error("Unexpected automation response structure", {
+    type: typeof responseData,
+    keys:
+      responseData && typeof responseData === "object"
+        ? Object.keys(responseData)
+        : [],
+  });
+  throw new Error("Unexpected response format from automation");
+}
+
+/**
+ * Qlik Automation webhooks configured in the Connection section
+ */
+export function createAutomationAdapter(connection, app) {
+  const { saveUrl, readUrl } = connection;
+
+  const postSave = async (body) => {
+    assertWebhookConfigured(saveUrl, "Save");
+    const auth = await getAuthOptions(app, connection);
+
+    return timedFetch("save", saveUrl, {
+      method: "POST",
+      ...auth,
+      headers: { "Content-Type": "application/json", ...auth.headers },
+      body: JSON.stringify(body),
+    });
+  };
+
+  return {
+    name: STORAGE_ADAPTERS.AUTOMATION,
+
+    async save(payload) {
+      return parseSaveResponse(await postSave(payload));
+    },
+
+    async load({ appId, action = "latest", asOf }) {
+      return callReadAutomation(
+        readUrl,
+        await getAuthOptions(app, connection),
+        appId,
+        action,
+        asOf ? { asOf } : {}
+      );
+    },
+
+    async history({ appId, ...filters }) {
+      return callReadAutomation(
+        readUrl,
+        await getAuthOptions(app, connection),
+        appId,
+        "history",
+        filters
+      );
+    },
+
+    async describeTable({ appId, tableName }) {
+      return callReadAutomation(
+        readUrl,
+        await getAuthOptions(app, connection),
+        appId,
+        "describe_table",
+        { tableName }
+      );
+    },
+
+    async testConnection(target = "save") {
+      if (target === "read") {
+        assertWebhookConfigured(readUrl, "Read");
+
+        const testPayload = new FormData();
+        testPayload.append("appId", "test-connection");
+        testPayload.append("action", "latest");
+
+        const response = await timedFetch("read", readUrl, {
+          method: "POST",
+          ...(await getAuthOptions(app, connection)),
+          body: testPayload,
+        });
+
+        return { ok: response.ok, status: response.status };
+      }
+
+      const response = await postSave({
+        protocol: "parameterized",
+        statement: "SELECT 1 AS test_connection",
+        parameters: [[]],
+        transaction: false,
+        app_id: "test_app",
+      });
+
+      return { ok: response.ok, status: response.status };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Generic REST/JSON adapter
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert an array of record objects into a header row plus data rows
+ */
+function recordsToTable(records) {
+  const headers = [];
+  records.forEach((record) => {
+    Object.keys(record).forEach((column) => {
+      if (!headers.includes(column)) headers.push(column);
+    });
+  });
+
+  return [
+    headers,
+    ...records.map((record) =>
+      headers.map((column) => (
+        record[column] === null || record[column] === undefined
+          ? ""
+          : String(record[column])
+      ))
+    ),
+  ];
+}
+
+/**
+ * Normalize a REST load/history body into the shared table result
+ */
+function toTableResult(data, appId) {
+  let table = null;
+
+  if (Array.isArray(data?.columns) && Array.isArray(data?.rows)) {
+    table = [data.columns, ...data.rows];
+  } else if (Array.isArray(data?.records)) {
+    table = recordsToTable(data.records);
+  }
+
+  if (!table || table.length < 2) {
+    return { success: false, message: "No writeback data found" };
+  }
+
+  return {
+    success: true,
+    csvContent: table,
+    fileName: data.fileName || null,
+    appId: data.appId || appId,
+  };
+}
+
+/**
+ * Generic REST/JSON backend.
+ * Expects POST {base}/save, GET {base}/load, GET {base}/history,
+ * GET {base}/schema and GET {base}/health. Load and history respond with either
+ * { columns: [...], rows: [[...]] } or { records: [{...}] }.
+ * The Connection auth mode adds a token, or sends cookies in session mode.
+ */
+export function createRestAdapter(config, connection, app) {
+  const baseUrl = config.restUrl;
+
+  const assertConfigured = () => {
+    if (!baseUrl) {
+      throw new Error(
+        "REST endpoint URL not configured. Please set it in the Storage section"
+      );
+    }
+  };
+
+  const request = async (kind, path, options) => {
+    assertConfigured();
+    const auth = await getAuthOptions(app, connection);
+
+    return timedFetch(kind, `${baseUrl}${path}`, {
+      ...options,
+      ...auth,
+      headers: { ...options.headers, ...auth.headers },
+    });
+  };
+
+  const getJson = async (path, params) => {
+    const query = new URLSearchParams(params).toString();
+    const response = await request("read", `${path}?${query}`, {
+      method: "GET",
+      headers: { Accept: "application/json" },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `HTTP ${response.status}: ${response.statusText} - ${errorText}`
+      );
+    }
+
+    const data = await response.json();
+    recordResponseShape("read", "json");
+    return data;
+  };
+
+  return {
+    name: STORAGE_ADAPTERS.REST,
+
+    async save(payload) {
+      const response = await request("save", "/save", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+      });
+
+      return parseSaveResponse(response);
+    },
+
+    async load({ appId, action = "latest", asOf }) {
+      const data = await getJson("/load", {
+        appId,
+        action,
+        ...(asOf ? { asOf } : {}),
+      });
+      return toTableResult(data, appId);
+    },
+
+    async history({ appId, ...filters }) {
+      const data = await getJson("/history", { appId, ...filters });
+      return toTableResult(data, appId);
+    },
+
+    async describeTable({ appId, tableName }) {
+      const data = await getJson("/schema", { appId, table: tableName });
+      return toTableResult(data, appId);
+    },
+
+    async testConnection(target = "save") {
+      const response = await request(target, "/health", { method: "GET" });
+      return { ok: response.ok, status: response.status };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// In-memory / localStorage adapter for demos and tests
+// ---------------------------------------------------------------------------
+
+const memoryStore = new Map();
+
+/**
+ * Rebuild each record as it was at `asOf` from the saved snapshots: the
+ * newest snapshot per key that is not later than asOf
+ */
+function getRecordsAsOf(store, asOf) {
+  const keyColumns = store.keyColumns || [];
+  const latest = new Map();
+
+  store.history.forEach((snapshot) => {
+    if (
+      !snapshot.modified_at ||
+      compareTimestamps(snapshot.modified_at, asOf) > 0
+    ) {
+      return;
+    }
+
+    const key = JSON.stringify(keyColumns.map((column) => snapshot[column]));
+    const current = latest.get(key);
+    if (
+      !current ||
+      compareTimestamps(current.modified_at, snapshot.modified_at) <= 0
+    ) {
+      latest.set(key, snapshot);
+    }
+  });
+
+  return Array.from(latest.values());
+}
+
+/**
+ * Browser-local adapter: persists to localStorage when available and
+ * falls back to an in-memory map otherwise
+ */
+export function createLocalAdapter() {
+  const readStore = (appId) => {
+    const key = `qlik_writeback_store:${appId}`;
+    try {
+      if (typeof localStorage !== "undefined") {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : { records: [], history: [] };
+      }
+    } catch (error) {
+      log.error("Error reading local writeback store", error);
+    }
+    return memoryStore.get(key) || { records: [], history: [] };
+  };
+
+  const writeStore = (appId, store) => {
+    const key = `qlik_writeback_store:${appId}`;
+    try {
+      if (typeof localStorage !== "undefined") {
+        localStorage.setItem(key, JSON.stringify(store));
+        return;
+      }
+    } catch (error) {
+      log.error("Error writing local writeback store", error);
+    }
+    memoryStore.set(key, store);
+  };
+
+  return {
+    name: STORAGE_ADAPTERS.LOCAL,
+
+    async save(payload) {
+      const appId = payload.app_id;
+      const keyColumns = payload.model_info?.key_columns || [];
+      const store = readStore(appId);
+      const rows = payload.rows || [];
+      const records = payload.records || [];
+
+      const auditRecords = payload.audit?.records || [];
+      const auditParameters = payload.audit?.parameters || [];
+      store.changes = store.changes || [];
+
+      store.keyColumns = keyColumns;
+
+      const results = rows.map((row, index) => {
+        const existingIndex = store.records.findIndex((record) =>
+          keyColumns.every((column) => record[column] === row[column])
+        );
+        const existing =
+          existingIndex >= 0 ? store.records[existingIndex] : null;
+
+        // Same rule as the UPSERT statement: only write over the version
+        // the client expected
+        const expectedVersion = records[index]?.expected_version ?? null;
+        if (existing && (existing.version ?? null) !== expectedVersion) {
+          return { success: true, rowCount: 0, current: { ...existing } };
+        }
+
+        if (existing) {
+          store.records[existingIndex] = {
+            ...existing,
+            ...row,
+            created_by: existing.created_by,
+            created_at: existing.created_at,
+          };
+        } else {
+          store.records.push({ ...row });
+        }
+        store.history.push({ ...row });
+
+        // Append this record's change log entries
+        auditRecords.forEach((auditRecord, auditIndex) => {
+          if (auditRecord.record_index !== index) return;
+          const change = {};
+          auditParameters[auditIndex].forEach((parameter) => {
+            change[parameter.name] = parameter.value;
+          });
+          store.changes.push(change);
+        });
+
+        return { success: true, rowCount: 1 };
+      });
+
+      writeStore(appId, store);
+
+      return { success: true, results };
+    },
+
+    async load({ appId, action = "latest", asOf }) {
+      const store = readStore(appId);
+      const records =
+        action === "as_of" ? getRecordsAsOf(store, asOf) : store.records;
+
+      if (records.length === 0) {
+        return { success: false, message: "No writeback data found" };
+      }
+      return {
+        success: true,
+        csvContent: recordsToTable(records),
+        fileName: "Local Storage",
+        appId,
+      };
+    },
+
+    async history({ appId, rowKey, column }) {
+      const store = readStore(appId);
+
+      // Prefer the change log. Stores written before it only have record
+      // snapshots, which carry no row key, so they only answer requests
+      // for the whole app's history.
+      let entries;
+      if (store.changes) {
+        entries = store.changes.filter(
+          (change) =>
+            (!rowKey || change.row_key === rowKey) &&
+            (!column || change.column_name === column)
+        );
+      } else if (rowKey || column) {
+        entries = [];
+      } else {
+        entries = store.history.filter(
+          (snapshot) => !snapshot.app_id || snapshot.app_id === appId
+        );
+      }
+
+      if (entries.length === 0) {
+        return { success: false, message: "No writeback history found" };
+      }
+      return {
+        success: true,
+        csvContent: recordsToTable(entries),
+        fileName: "Local Storage",
+        appId,
+      };
+    },
+
+    async describeTable({ appId }) {
+      // No real table - the columns are whatever the saved rows hold
+      const store = readStore(appId);
+
+      if (store.records.length === 0) {
+        return { success: false, message: "No writeback data found" };
+      }
+      const [columns] = recordsToTable(store.records);
+      return {
+        success: true,
+        csvContent: [
+          ["column_name", "data_type"],
+          ...columns.map((column) => [column, ""]),
+        ],
+        fileName: "Local Storage",
+        appId,
+      };
+    },
+
+    async testConnection() {
+      return { ok: true, status: 200 };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Adapter selection
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick the storage adapter configured in the property panel
+ */
+export function getStorageAdapter(layout, app) {
+  const config = getStorageConfig(layout);
+  const connection = getConnectionConfig(layout);
+
+  switch (config.adapter) {
+    case STORAGE_ADAPTERS.REST:
+      return createRestAdapter(config, connection, app);
+    case STORAGE_ADAPTERS.LOCAL:
+      return createLocalAdapter();
+    case STORAGE_ADAPTERS.AUTOMATION:
+    default:
+      return createAutomationAdapter(connection, app);
+  }
+}
@@ -0,0 +1,278 @@
+// utils/tableSchema.js - Table DDL generator and schema-drift check
+import { getExpectedTableSchema, getConsistentAppId } from "./saveService";
+import { getStorageAdapter } from "./storageAdapters";
+import { buildCreateTableStatement } from "./sqlDialects";
+import { createLogger } from "./logger";
+
+const log = createLogger("storage");
+
+/**
+ * The writeback table has to match what analyzeModelStructure and the
+ * writeback column mapping produce. Authors generate its CREATE TABLE from the
+ * property panel, and the rendered table checks the stored table against
+ * the expected columns when it starts, before anyone saves.
+ *
+ * Like the connection test button, the property panel only receives the
+ * properties (no hypercube layout), so the rendered table registers its
+ * layout here for the "Generate table DDL" button.
+ */
+
+const layouts = new Map(); // objectId -> rendered layout
+const generated = new Map(); // objectId -> last generated DDL result
+
+/**
+ * Register the layout a rendered object generates DDL from; returns an
+ * unregister function
+ */
+export function registerSchemaLayout(objectId, layout) {
+  layouts.set(objectId, layout);
+  return () => {
+    if (layouts.get(objectId) === layout) layouts.delete(objectId);
+  };
+}
+
+/**
+ * CREATE TABLE statements for the writeback table and its change log, in
+ * the configured SQL dialect
+ */
+export function generateTableDDL(layout) {
+  const { dialect, table, auditTable } = getExpectedTableSchema(layout);
+
+  return [
+    `-- Writeback table (${dialect.label})`,
+    buildCreateTableStatement(dialect, table),
+    "",
+    "-- Change log table, append-only",
+    buildCreateTableStatement(dialect, auditTable),
+  ].join("\n");
+}
+
+async function copyToClipboard(text) {
+  try {
+    if (typeof navigator === "undefined" || !navigator.clipboard) return false;
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * "Generate table DDL" button: build the DDL for the rendered object and
+ * copy it to the clipboard when the browser allows it
+ */
+export async function generateTableDDLForObject(properties) {
+  const objectId = properties?.qInfo?.qId;
+  const layout = layouts.get(objectId);
+
+  if (!layout) {
+    const result = {
+      error: "Show the table on a sheet first - the DDL needs its data",
+    };
+    generated.set(objectId, result);
+    return result;
+  }
+
+  let result;
+  try {
+    // Properties hold the latest panel edits; the layout holds the data
+    const ddl = generateTableDDL({
+      ...layout,
+      writebackConfig: properties.writebackConfig,
+      keyDimensions: properties.keyDimensions,
+    });
+    result = { ddl, copied: await copyToClipboard(ddl) };
+  } catch (error) {
+    log.error("Could not generate table DDL", error);
+    result = { error: error.message };
+  }
+
+  generated.set(objectId, result);
+  return result;
+}
+
+/**
+ * Get the last generated DDL for an object, or null
+ */
+export function getGeneratedDDL(objectId) {
+  return generated.get(objectId) || null;
+}
+
+/**
+ * Text for the property panel under the button
+ */
+export function formatGeneratedDDL(result) {
+  if (!result) return "Generates CREATE TABLE for the selected SQL dialect.";
+  if (result.error) return `Could not generate DDL: ${result.error}`;
+  return `${result.copied ? "Copied to clipboard:" : "DDL:"}\n${result.ddl}`;
+}
+
+/**
+ * Changes whenever the expected writeback table or the backend does, so
+ * the rendered table knows when to check for drift again
+ */
+export function getSchemaSignature(layout) {
+  try {
+    const { table } = getExpectedTableSchema(layout);
+    return JSON.stringify([
+      table.tableName,
+      table.columns.map((column) => column.name),
+      layout?.storage?.adapter,
+    ]);
+  } catch (error) {
+    // The check reports the configuration error itself
+    return `invalid: ${error.message}`;
+  }
+}
+
+/**
+ * Column names from a describeTable result: one row per column under a
+ * "column_name" header, or just a header row of column names
+ */
+function getReportedColumns(csvContent) {
+  if (!Array.isArray(csvContent) || csvContent.length === 0) return [];
+
+  const [header, ...rows] = csvContent;
+  const nameIndex = header.findIndex(
+    (cell) => String(cell).toLowerCase() === "column_name"
+  );
+  const columns = nameIndex >= 0 ? rows.map((row) => row[nameIndex]) : header;
+
+  return columns.map((column) => String(column || "").trim()).filter(Boolean);
+}
+
+/**
+ * Databases differ in identifier case (Snowflake folds to upper case)
+ */
+function isSameColumn(expected, actual) {
+  return expected.toLowerCase() === actual.toLowerCase();
+}
+
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * A stored column probably is the expected one under an older name when
+ * they only differ in separators or by a couple of characters
+ */
+function isLikelyRename(expected, actual) {
+  const squash = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (squash(expected) === squash(actual)) return true;
+
+  return (
+    Math.min(expected.length, actual.length) > 4 &&
+    getEditDistance(expected.toLowerCase(), actual.toLowerCase()) <= 2
+  );
+}
+
+/**
+ * One-line summary of a schema check for inline display
+ */
+export function formatSchemaDrift(result) {
+  if (!result) return "";
+  if (result.status === "unknown") return result.message;
+  if (result.status === "ok") return "Table columns match";
+
+  return [
+    result.missing.length > 0 && `missing ${result.missing.join(", ")}`,
+    result.renamed.length > 0 &&
+      `renamed ${result.renamed
+        .map((rename) => `${rename.actual} → ${rename.expected}`)
+        .join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * Compare the expected writeback table columns with the columns the
+ * backend reports.
+ * @returns {Promise<{status: "ok"|"drift"|"unknown", missing: string[],
+ *   unexpected: string[], renamed: Array<{expected: string, actual: string}>,
+ *   message: string}>}
+ */
+export async function checkSchemaDrift(layout, app) {
+  const result = {
+    status: "unknown",
+    missing: [],
+    unexpected: [],
+    renamed: [],
+    message: "",
+  };
+
+  let table;
+  let actualColumns;
+  try {
+    ({ table } = getExpectedTableSchema(layout));
+    const appId = getConsistentAppId(app, layout);
+    const adapter = getStorageAdapter(layout, app);
+    if (typeof adapter.describeTable !== "function") {
+      result.message = "The storage backend cannot describe tables";
+      return result;
+    }
+
+    const response = await adapter.describeTable({
+      appId,
+      tableName: table.tableName,
+    });
+    actualColumns = response.success
+      ? getReportedColumns(response.csvContent)
+      : [];
+  } catch (error) {
+    log.warn("Schema check failed", error);
+    result.message = `Schema check failed: ${error.message}`;
+    return result;
+  }
+
+  if (actualColumns.length === 0) {
+    result.message = `No columns reported for ${table.tableName} - does the table exist?`;
+    return result;
+  }
+
+  const expectedNames = table.columns.map((column) => column.name);
+  const missing = expectedNames.filter(
+    (name) => !actualColumns.some((column) => isSameColumn(name, column))
+  );
+  const unexpected = actualColumns.filter(
+    (column) => !expectedNames.some((name) => isSameColumn(name, column))
+  );
+
+  missing.forEach((name) => {
+    const actual = unexpected.find((column) => isLikelyRename(name, column));
+    if (actual) {
+      result.renamed.push({ expected: name, actual });
+    } else {
+      result.missing.push(name);
+    }
+  });
+  result.unexpected = unexpected.filter(
+    (column) => !result.renamed.some((rename) => rename.actual === column)
+  );
+
+  if (result.missing.length > 0 || result.renamed.length > 0) {
+    result.status = "drift";
+    log.warn(`Writeback table ${table.tableName} does not match`, {
+      missing: result.missing,
+      renamed: result.renamed,
+    });
+  } else {
+    result.status = "ok";
+  }
+  result.message = formatSchemaDrift(result);
+  return result;
+}
@@ -0,0 +1,218 @@
+// utils/timeUtils.js - UTC audit timestamps and display-timezone formatting
+
+/**
+ * Audit timestamps are stored as UTC ISO-8601 strings
+ * ("2024-03-10T14:05:00.000Z"). Records saved by older versions hold
+ * America/New_York wall-clock strings without an offset
+ * ("2024-03-10 09:05:00"); those are read in that zone so they still
+ * order and display correctly next to the new ones. Wall-clock strings
+ * with milliseconds ("2024-03-10 14:05:00.000") come from MySQL DATETIME
+ * columns, which are written in UTC (see sqlDialects), and are read as UTC.
+ *
+ * Times are shown in the display timezone chosen in the property panel
+ * (writebackConfig.displayTimeZone), or the browser's when none is set,
+ * formatted for the viewer's locale.
+ */
+
+const LEGACY_TIME_ZONE = "America/New_York";
+const LEGACY_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const UTC_WALL_CLOCK_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})\.(\d{1,6})$/;
+
+/**
+ * Offset of a timezone from UTC in milliseconds at the given instant
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(time));
+  const get = (type) =>
+    Number(parts.find((part) => part.type === type).value);
+
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Turn a wall-clock time in a timezone into the Date it refers to
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hours,
+    parts.minutes,
+    parts.seconds,
+    parts.milliseconds
+  );
+
+  // The offset depends on the instant, so check it again in case the
+  // first guess landed on the other side of a DST change
+  const offset = getTimeZoneOffset(wallClock, timeZone);
+  const corrected = getTimeZoneOffset(wallClock - offset, timeZone);
+  return new Date(wallClock - corrected);
+}
+
+/**
+ * Current time as a UTC ISO-8601 timestamp for audit fields
+ */
+export function createTimestamp(date = new Date()) {
+  return date.toISOString();
+}
+
+/**
+ * The browser's IANA timezone, or UTC when it cannot be determined
+ */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+/**
+ * Check whether a string is an IANA timezone the browser knows
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    return Boolean(
+      Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Display timezone from layout, falling back to the browser's
+ */
+export function getDisplayTimeZone(layout) {
+  const configured = (layout?.writebackConfig?.displayTimeZone || "").trim();
+  return isValidTimeZone(configured) ? configured : getBrowserTimeZone();
+}
+
+/**
+ * Parse a stored timestamp (ISO-8601 or legacy Eastern Time string) into a
+ * Date, or null when it cannot be read
+ */
+export function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const text = String(value).trim();
+  const legacy = text.match(LEGACY_PATTERN);
+  if (legacy) {
+    const [, year, month, day, hours, minutes, seconds = "0"] = legacy;
+    return zonedTimeToDate(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hours: Number(hours),
+        minutes: Number(minutes),
+        seconds: Number(seconds),
+        milliseconds: 0,
+      },
+      LEGACY_TIME_ZONE
+    );
+  }
+
+  const utcWallClock = text.match(UTC_WALL_CLOCK_PATTERN);
+  if (utcWallClock) {
+    const [, year, month, day, hours, minutes, seconds, fraction] =
+      utcWallClock;
+    return new Date(
+      Date.UTC(
+        Number(year),
+        Number(month) - 1,
+        Number(day),
+        Number(hours),
+        Number(minutes),
+        Number(seconds),
+        Number(fraction.padEnd(3, "0").slice(0, 3))
+      )
+    );
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Order two stored timestamps chronologically; unreadable values sort first
+ */
+export function compareTimestamps(a, b) {
+  const dateA = parseTimestamp(a);
+  const dateB = parseTimestamp(b);
+
+  if (dateA && dateB) return dateA.getTime() - dateB.getTime();
+  if (!dateA && !dateB) return String(a || "").localeCompare(String(b || ""));
+  return dateA ? 1 : -1;
+}
+
+/**
+ * Format a stored timestamp in the viewer's locale and the given timezone
+ */
+export function formatTimestamp(value, timeZone, options = {}) {
+  const date = parseTimestamp(value);
+  if (!date) return value ? String(value) : "";
+
+  try {
+    return new Intl.DateTimeFormat(undefined, {
+      dateStyle: "medium",
+      timeStyle: "medium",
+      timeZone,
+      ...options,
+    }).format(date);
+  } catch {
+    return date.toISOString();
+  }
+}
+
+/**
+ * Convert a datetime-local input value ("YYYY-MM-DDTHH:mm"), read in the
+ * given timezone, to a UTC timestamp at the end of that minute so the
+ * whole minute is included
+ */
+export function fromDateTimeLocal(value, timeZone) {
+  const match = String(value || "").match(
+    /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return createTimestamp(
+    zonedTimeToDate(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hours: Number(hours),
+        minutes: Number(minutes),
+        seconds: seconds === undefined ? 59 : Number(seconds),
+        milliseconds: 999,
+      },
+      timeZone
+    )
+  );
+}
@@ -0,0 +1,336 @@
+// utils/userIdentity.js - Current user identity shared by saves and presence
+import { createLogger } from "./logger";
+
+const log = createLogger("identity");
+
+/**
+ * Saves (audit columns) and presence badges attribute work to the same
+ * identity: { userId, directory, displayName, email, authenticated, source }.
+ *
+ *   source "users-api"  engine user, name and email from the tenant users API
+ *          "engine"     engine user only; displayName is derived from userId
+ *          "session"    no authenticated user - one anonymous name per
+ *                       browser session
+ *
+ * The app's createdBy/owner is never used: it names the app owner, not the
+ * person editing.
+ *
+ * Authenticated identities are cached for the browser session (one hour)
+ * so every save does not call the users API. What happens without an
+ * authenticated user is set by `writebackConfig.identityFallback`: saves
+ * either go out under the anonymous session name or are refused. Presence
+ * shows the anonymous name either way.
+ */
+
+export const IDENTITY_FALLBACKS = {
+  SESSION: "session",
+  REFUSE: "refuse",
+};
+
+const CACHE_KEY = "qlik_writeback_identity";
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const SESSION_USER_KEY = "qlik_writeback_user";
+
+let pending = null; // in-flight or resolved lookup, authenticated users only
+let pageSessionUser = null; // session name when sessionStorage is unavailable
+
+function readCachedIdentity() {
+  try {
+    if (typeof sessionStorage === "undefined") return null;
+
+    const cached = JSON.parse(sessionStorage.getItem(CACHE_KEY) || "null");
+    if (!cached || !cached.identity) return null;
+
+    if (Date.now() - cached.timestamp >= CACHE_TTL) {
+      sessionStorage.removeItem(CACHE_KEY);
+      return null;
+    }
+    return cached.identity;
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedIdentity(identity) {
+  try {
+    if (typeof sessionStorage === "undefined") return;
+    sessionStorage.setItem(
+      CACHE_KEY,
+      JSON.stringify({ identity, timestamp: Date.now() })
+    );
+  } catch {
+    // Storage not available - the in-memory lookup still applies
+  }
+}
+
+/**
+ * Read user id and directory from the engine's authenticated user
+ */
+async function readAuthenticatedUser(app) {
+  let userId = null;
+  let directory = null;
+
+  if (
+    app &&
+    app.global &&
+    typeof app.global.getAuthenticatedUser === "function"
+  ) {
+    try {
+      const userInfo = await app.global.getAuthenticatedUser();
+
+      // Parse the response format: "UserDirectory=; UserId=auth0|..."
+      if (typeof userInfo === "string") {
+        const userIdMatch = userInfo.match(/UserId=([^;]+)/);
+        const userDirMatch = userInfo.match(/UserDirectory=([^;]*)/);
+
+        if (userIdMatch && userIdMatch[1]) {
+          userId = userIdMatch[1].trim();
+        }
+        if (userDirMatch && userDirMatch[1]) {
+          directory = userDirMatch[1].trim();
+        }
+      } else if (userInfo && typeof userInfo === "object") {
+        userId = userInfo.qUserId || userInfo.UserId || userInfo.userId;
+        directory = userInfo.qUserDirectory || userInfo.UserDirectory;
+      }
+    } catch (error) {
+      log.debug("getAuthenticatedUser failed", error);
+    }
+  }
+
+  return { userId: userId || null, directory: directory || null };
+}
+
+async function fetchUsersApi(url) {
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: { Accept: "application/json" },
+      credentials: "include", // Use the current session cookies
+    });
+
+    if (!response.ok) {
+      log.debug("Users API call failed", { status: response.status });
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    log.debug("Users API lookup failed", error);
+    return null;
+  }
+}
+
+/**
+ * Look the user up in the Qlik Cloud users API: /users/me first, then by
+ * subject. Returns { name, email } or null off Qlik Cloud.
+ */
+async function lookupTenantUser(userId) {
+  if (typeof window === "undefined") return null;
+
+  const { hostname } = window.location;
+  if (!hostname.includes("qlikcloud")) {
+    log.debug("Not on Qlik Cloud, skipping users API");
+    return null;
+  }
+
+  const apiBaseUrl = `https://${hostname}/api/v1/users`;
+
+  const me = await fetchUsersApi(`${apiBaseUrl}/me`);
+  if (me && me.name && (!me.subject || me.subject === userId)) {
+    return me;
+  }
+
+  const search = await fetchUsersApi(
+    `${apiBaseUrl}?filter=subject eq "${encodeURIComponent(userId)}"`
+  );
+  if (search && Array.isArray(search.data) && search.data.length > 0) {
+    return search.data[0];
+  }
+
+  log.debug("Users API returned no name for the user");
+  return null;
+}
+
+/**
+ * Readable name from a user id when the users API is not available
+ */
+function getDisplayNameFromUserId(userId) {
+  let cleanUser = userId;
+
+  // Clean up auth0 IDs
+  if (cleanUser.startsWith("auth0|")) {
+    cleanUser = `user_${cleanUser.substring(6, 14)}`;
+  }
+  if (cleanUser.includes("\\")) {
+    cleanUser = cleanUser.split("\\").pop();
+  }
+  if (cleanUser.includes("@")) {
+    [cleanUser] = cleanUser.split("@");
+  }
+
+  return cleanUser;
+}
+
+/**
+ * Anonymous name for this browser session, stable across reloads so saves
+ * and presence show the same person
+ */
+function getSessionUser() {
+  let sessionUser = pageSessionUser;
+
+  try {
+    if (typeof sessionStorage !== "undefined") {
+      sessionUser = sessionStorage.getItem(SESSION_USER_KEY);
+    }
+  } catch {
+    // Storage not available
+  }
+
+  if (!sessionUser) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substr(2, 5);
+    sessionUser = `user_${timestamp.slice(-6)}_${random}`;
+
+    try {
+      if (typeof sessionStorage !== "undefined") {
+        sessionStorage.setItem(SESSION_USER_KEY, sessionUser);
+      }
+    } catch {
+      // Storage not available - the name lasts for this page
+    }
+  }
+
+  pageSessionUser = sessionUser;
+  return sessionUser;
+}
+
+async function lookupIdentity(app) {
+  try {
+    const { userId, directory } = await readAuthenticatedUser(app);
+    if (!userId) {
+      const sessionUser = getSessionUser();
+      log.warn("No authenticated user, using the session user", {
+        user: sessionUser,
+      });
+      return {
+        userId: null,
+        directory: null,
+        displayName: sessionUser,
+        email: null,
+        authenticated: false,
+        source: "session",
+      };
+    }
+
+    const tenantUser = await lookupTenantUser(userId);
+    if (tenantUser && tenantUser.name) {
+      return {
+        userId,
+        directory,
+        displayName: tenantUser.name,
+        email: tenantUser.email || null,
+        authenticated: true,
+        source: "users-api",
+      };
+    }
+
+    return {
+      userId,
+      directory,
+      displayName: getDisplayNameFromUserId(userId),
+      email: userId.includes("@") ? userId : null,
+      authenticated: true,
+      source: "engine",
+    };
+  } catch (error) {
+    log.error("Error resolving user identity", error);
+    return {
+      userId: null,
+      directory: null,
+      displayName: getSessionUser(),
+      email: null,
+      authenticated: false,
+      source: "session",
+    };
+  }
+}
+
+/**
+ * Resolve the current user; never throws
+ * @returns {Promise<{userId: ?string, directory: ?string, displayName: string,
+ *   email: ?string, authenticated: boolean, source: string,
+ *   fromCache: boolean}>}
+ */
+export async function resolveUserIdentity(app) {
+  const cached = readCachedIdentity();
+  if (cached) return { ...cached, fromCache: true };
+
+  if (!pending) {
+    pending = lookupIdentity(app).then((identity) => {
+      if (identity.authenticated) {
+        writeCachedIdentity(identity);
+      } else {
+        // Try again next time - the engine may not have been ready
+        pending = null;
+      }
+      return identity;
+    });
+  }
+
+  return { ...(await pending), fromCache: false };
+}
+
+/**
+ * Fallback policy from the property panel (anonymous session user by default)
+ */
+export function getIdentityFallback(layout) {
+  const policy = layout?.writebackConfig?.identityFallback;
+  return Object.values(IDENTITY_FALLBACKS).includes(policy)
+    ? policy
+    : IDENTITY_FALLBACKS.SESSION;
+}
+
+/**
+ * Resolve the identity a save is attributed to, applying the configured
+ * fallback policy. Throws when the policy refuses anonymous saves.
+ */
+export async function getSaveIdentity(app, layout) {
+  const identity = await resolveUserIdentity(app);
+
+  if (
+    !identity.authenticated &&
+    getIdentityFallback(layout) === IDENTITY_FALLBACKS.REFUSE
+  ) {
+    throw new Error(
+      "Cannot save without an authenticated user. Sign in to Qlik and try again."
+    );
+  }
+  return identity;
+}
+
+/**
+ * Forget the cached identity, e.g. after signing in as someone else
+ */
+export function clearIdentityCache() {
+  pending = null;
+  try {
+    if (typeof sessionStorage !== "undefined") {
+      sessionStorage.removeItem(CACHE_KEY);
+    }
+  } catch {
+    // Storage not available
+  }
+}
+
+/**
+ * Initials for a presence badge
+ */
+export function getInitials(name) {
+  if (!name) return "U";
+
+  const parts = name.trim().split(/\s+/);
+  if (parts.length >= 2) {
+    return `${parts[0][0]}${parts[1][0]}`.toUpperCase();
+  }
+  return name.substring(0, 2).toUpperCase();
+}
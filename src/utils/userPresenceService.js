@@ -1,4 +1,8 @@
 // utils/userPresenceService.js - Real User Presence Management (FIXED)
+import { createLogger } from "./logger";
+import { resolveUserIdentity, getInitials } from "./userIdentity";
+
+const log = createLogger("presence");
 
 /**
  * User Presence Service - Real-time user tracking for Qlik Cloud
@@ -27,7 +31,7 @@ class UserPresenceService {
       conflictCheckInterval: 60000, // 1 minute
     };
 
-    console.log("UserPresenceService initialized", {
+    log.debug("UserPresenceService initialized", {
       sessionId: this.sessionId,
     });
   }
@@ -37,11 +41,9 @@ class UserPresenceService {
    */
   async initialize() {
     try {
-      console.log("Initializing user presence service...");
-
       // Get current user info
       this.currentUser = await this.getCurrentUser();
-      console.log("👤 Current user detected:", this.currentUser);
+      log.debug("Current user detected", { user: this.currentUser });
 
       // Register this session
       await this.registerSession();
@@ -52,148 +54,37 @@ class UserPresenceService {
       this.isConnected = true;
       this.notifyListeners("connected", { user: this.currentUser });
 
-      console.log("User presence service connected");
+      log.info("User presence service connected");
       return true;
     } catch (error) {
-      console.error("Failed to initialize user presence:", error);
+      log.error("Failed to initialize user presence", error);
       this.isConnected = false;
       return false;
     }
   }
 
   /**
-   * Get current Qlik user with enhanced detection
+   * Get current Qlik user - the same identity saves are attributed to
    */
   async getCurrentUser() {
-    try {
-      // Use the existing getCurrentQlikUser logic from saveService
-      let userId = null;
-      let userName = null;
-
-      if (
-        this.app &&
-        this.app.global &&
-        typeof this.app.global.getAuthenticatedUser === "function"
-      ) {
-        const userInfo = await this.app.global.getAuthenticatedUser();
-
-        if (typeof userInfo === "string") {
-          const userIdMatch = userInfo.match(/UserId=([^;]+)/);
-          if (userIdMatch && userIdMatch[1]) {
-            userId = userIdMatch[1].trim();
-          }
-        }
-      }
-
-      // Try to get display name from API
-      if (userId) {
-        userName = await this.getUserDisplayName(userId);
-      }
-
-      // Fallback to session-based user
-      if (!userName) {
-        userName = this.getSessionUser();
-      }
-
-      const initials = this.generateInitials(userName);
-      const now = new Date();
-
-      return {
-        id: this.sessionId,
-        userId: userId || "unknown",
-        name: userName,
-        initials: initials,
-        sessionId: this.sessionId,
-        isCurrentUser: true,
-        status: "viewing",
-        editingRow: null,
-        editingFields: [],
-        startTime: now,
-        lastActivity: now,
-        appId: this.getAppId(),
-      };
-    } catch (error) {
-      console.error("Error getting current user:", error);
-
-      // Emergency fallback
-      const fallbackName = `User_${this.sessionId.slice(-6)}`;
-      const now = new Date();
+    const identity = await resolveUserIdentity(this.app);
+    const now = new Date();
 
-      return {
-        id: this.sessionId,
-        userId: "fallback",
-        name: fallbackName,
-        initials: fallbackName.substring(0, 2).toUpperCase(),
-        sessionId: this.sessionId,
-        isCurrentUser: true,
-        status: "viewing",
-        editingRow: null,
-        editingFields: [],
-        startTime: now,
-        lastActivity: now,
-        appId: this.getAppId(),
-      };
-    }
-  }
-
-  /**
-   * Get user display name from Qlik Cloud API
-   */
-  async getUserDisplayName(userId) {
-    try {
-      const hostname = window.location.hostname;
-      if (!hostname.includes("qlikcloud")) return null;
-
-      const apiUrl = `https://${hostname}/api/v1/users?filter=subject eq "${encodeURIComponent(
-        userId
-      )}"`;
-
-      const response = await fetch(apiUrl, {
-        method: "GET",
-        headers: { Accept: "application/json" },
-        credentials: "include",
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.data && data.data.length > 0 && data.data[0].name) {
-          return data.data[0].name;
-        }
-      }
-
-      return null;
-    } catch (error) {
-      console.log("Could not fetch display name from API:", error);
-      return null;
-    }
-  }
-
-  /**
-   * Generate user initials from name
-   */
-  generateInitials(name) {
-    if (!name) return "U";
-
-    const parts = name.trim().split(" ");
-    if (parts.length >= 2) {
-      return `${parts[0][0]}${parts[1][0]}`.toUpperCase();
-    } else {
-      return name.substring(0, 2).toUpperCase();
-    }
-  }
-
-  /**
-   * Get or create session-based user
-   */
-  getSessionUser() {
-    let sessionUser = sessionStorage.getItem("qlik_writeback_user");
-    if (!sessionUser) {
-      const timestamp = Date.now().toString();
-      const random = Math.random().toString(36).substr(2, 5);
-      sessionUser = `User_${timestamp.slice(-6)}_${random}`;
-      sessionStorage.setItem("qlik_writeback_user", sessionUser);
-    }
-    return sessionUser;
+    return {
+      id: this.sessionId,
+      userId: identity.userId || "unknown",
+      name: identity.displayName,
+      email: identity.email,
+      initials: getInitials(identity.displayName),
+      sessionId: this.sessionId,
+      isCurrentUser: true,
+      status: "viewing",
+      editingRow: null,
+      editingFields: [],
+      startTime: now,
+      lastActivity: now,
+      appId: this.getAppId(),
+    };
   }
 
   /**
@@ -213,7 +104,7 @@ class UserPresenceService {
     allSessions[this.sessionId] = sessionData;
     localStorage.setItem("qlik_active_sessions", JSON.stringify(allSessions));
 
-    console.log("Session registered:", sessionData);
+    log.debug("Session registered", { sessionId: this.sessionId });
   }
 
   /**
@@ -247,7 +138,7 @@ class UserPresenceService {
       this.lastKeystroke = Date.now();
     });
 
-    console.log("User monitoring started");
+    log.debug("User monitoring started");
   }
 
   /**
@@ -265,12 +156,10 @@ class UserPresenceService {
         this.currentUser.editingRow = editingInfo.editingRow;
         this.currentUser.editingFields = editingInfo.editingFields;
 
-        console.log(
-          "Current user status:",
-          this.currentUser.status,
-          "editing:",
-          this.currentUser.editingRow
-        );
+        log.debug("Current user status", {
+          status: this.currentUser.status,
+          editingRow: this.currentUser.editingRow,
+        });
       }
 
       // Get all active sessions
@@ -285,7 +174,7 @@ class UserPresenceService {
         conflicts: Array.from(this.conflicts.values()),
       });
     } catch (error) {
-      console.error("Error updating user activity:", error);
+      log.error("Error updating user activity", error);
     }
   }
 
@@ -458,7 +347,7 @@ class UserPresenceService {
       const stored = localStorage.getItem("qlik_active_sessions");
       return stored ? JSON.parse(stored) : {};
     } catch (error) {
-      console.error("Error reading sessions:", error);
+      log.error("Error reading sessions", error);
       return {};
     }
   }
@@ -511,7 +400,7 @@ class UserPresenceService {
         try {
           listener.callback(data);
         } catch (error) {
-          console.error("Error in presence listener:", error);
+          log.error("Error in presence listener", error);
         }
       }
     });
@@ -527,11 +416,11 @@ class UserPresenceService {
       this.currentUser.status = rowId ? "editing" : "viewing";
       this.currentUser.lastActivity = new Date();
 
-      /*console.log("Updated editing status:", {
+      log.debug("Updated editing status", {
         status: this.currentUser.status,
         editingRow: this.currentUser.editingRow,
         editingFields: this.currentUser.editingFields,
-      });*/
+      });
 
       // Immediate update and persist
       this.sendHeartbeat();
@@ -549,7 +438,7 @@ class UserPresenceService {
    * Cleanup when user leaves
    */
   cleanup() {
-    console.log("🧹 Cleaning up user presence...");
+    log.debug("Cleaning up user presence");
 
     // Clear intervals
     if (this.updateInterval) {
@@ -0,0 +1,149 @@
+// utils/valueCoercion.js - Typed writeback values per column input type
+
+/**
+ * Writeback columns are typed by their `columnType` (the input type in the
+ * property panel). Values are coerced to that type before saving and back
+ * from stored text when reading:
+ *   number   -> number   (parameter type "numeric")
+ *   checkbox -> boolean  (parameter type "boolean")
+ *   date     -> ISO date "YYYY-MM-DD" (parameter type "date")
+ *   text, textarea, dropdown -> string (parameter type "text")
+ * Empty values are null for every type.
+ */
+
+const PARAMETER_TYPES = {
+  number: 'numeric',
+  checkbox: 'boolean',
+  date: 'date',
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:$|[T ])/;
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'off'];
+
+/**
+ * Parameter type the backend binds a column's values as
+ */
+export function getParameterTypeForColumn(columnType) {
+  return PARAMETER_TYPES[columnType] || 'text';
+}
+
+/**
+ * Check whether a value counts as empty (null in storage)
+ */
+export function isEmptyValue(value) {
+  return (
+    value === null
+    || value === undefined
+    || (typeof value === 'string' && value.trim() === '')
+  );
+}
+
+function toIsoDate(date) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function coerceNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value)
+      ? { ok: true, value }
+      : { ok: false, error: 'Please enter a valid number' };
+  }
+
+  const text = String(value).trim();
+  if (!NUMBER_PATTERN.test(text)) {
+    return { ok: false, error: 'Please enter a valid number' };
+  }
+  return { ok: true, value: Number(text) };
+}
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return { ok: true, value };
+  if (value === 1 || value === 0) return { ok: true, value: value === 1 };
+
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return { ok: true, value: true };
+  if (FALSE_VALUES.includes(text)) return { ok: true, value: false };
+  return { ok: false, error: 'Please choose yes or no' };
+}
+
+function coerceDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? { ok: false, error: 'Please enter a valid date' }
+      : { ok: true, value: toIsoDate(value) };
+  }
+
+  const text = String(value).trim();
+  const match = text.match(ISO_DATE_PATTERN);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    // Reject dates that roll over, e.g. 2024-02-30
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (
+      date.getUTCFullYear() === year
+      && date.getUTCMonth() === month - 1
+      && date.getUTCDate() === day
+    ) {
+      return { ok: true, value: text.slice(0, 10) };
+    }
+    return { ok: false, error: 'Please enter a valid date' };
+  }
+
+  // Other formats the browser understands, read as a local date
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) {
+    return { ok: false, error: 'Please enter a valid date' };
+  }
+  return { ok: true, value: toIsoDate(parsed) };
+}
+
+/**
+ * Coerce a value to its column type.
+ * @returns {{ok: true, value: *}|{ok: false, error: string}}
+ */
+export function coerceValue(value, columnType) {
+  if (isEmptyValue(value)) return { ok: true, value: null };
+
+  switch (columnType) {
+    case 'number':
+      return coerceNumber(value);
+    case 'checkbox':
+      return coerceBoolean(value);
+    case 'date':
+      return coerceDate(value);
+    default:
+      return { ok: true, value: String(value) };
+  }
+}
+
+/**
+ * Validation message for a value that cannot be coerced, or null
+ */
+export function getCoercionError(value, columnType) {
+  const result = coerceValue(value, columnType);
+  return result.ok ? null : result.error;
+}
+
+/**
+ * Coerce a stored value back to its column type for the table. Values that
+ * do not fit the type are kept as stored so nothing is lost.
+ */
+export function coerceStoredValue(value, columnType) {
+  const result = coerceValue(value, columnType);
+  return result.ok ? result.value : value;
+}
+
+/**
+ * Text for showing a typed value outside its input (history, conflicts)
+ */
+export function formatDisplayValue(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
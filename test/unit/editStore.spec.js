@@ -0,0 +1,88 @@
+const { test, expect } = require('@playwright/test');
+const {
+  createEditStore,
+  setEdit,
+  setRowVersion,
+  getEdit,
+  hasEdit,
+  removeEdit,
+  withStoredRows,
+  mergeEditStores,
+  listEdits,
+  countEdits,
+  rekeyEditStore,
+} = require('../../src/utils/editStore');
+
+const row = [{ qText: 'North' }, { qText: 'Bikes' }];
+
+test.describe('editStore', () => {
+  test('should set values without changing the previous store', () => {
+    const empty = createEditStore();
+    const store = setEdit(empty, 'North|Bikes', 'comment', 'ok', row);
+
+    expect(empty).toEqual({});
+    expect(store).toEqual({
+      'North|Bikes': { row, version: null, values: { comment: 'ok' } },
+    });
+    expect(getEdit(store, 'North|Bikes', 'comment')).toBe('ok');
+  });
+
+  test('should count falsy values as edits', () => {
+    let store = setEdit({}, 'a', 'approved', false, row);
+    store = setEdit(store, 'a', 'amount', 0, row);
+
+    expect(hasEdit(store, 'a', 'approved')).toBe(true);
+    expect(hasEdit(store, 'a', 'missing')).toBe(false);
+    expect(countEdits(store)).toBe(2);
+  });
+
+  test('should drop a row once its last value is removed', () => {
+    let store = setEdit({}, 'a', 'comment', 'x', row);
+    store = setEdit(store, 'a', 'status', 'y', row);
+
+    store = removeEdit(store, 'a', 'comment');
+    expect(listEdits(store)).toEqual([
+      { rowKey: 'a', columnName: 'status', value: 'y' },
+    ]);
+    expect(removeEdit(store, 'a', 'status')).toEqual({});
+  });
+
+  test('should attach the stored version and values to pending edits', () => {
+    let stored = setEdit({}, 'a', 'comment', 'saved', row);
+    stored = setRowVersion(stored, 'a', 3, row);
+    const edits = setEdit({}, 'a', 'status', 'new', row);
+
+    expect(withStoredRows(edits, stored).a).toEqual({
+      row,
+      version: 3,
+      values: { status: 'new' },
+      base: { comment: 'saved' },
+    });
+    expect(withStoredRows(setEdit({}, 'b', 'x', 1), stored).b.version).toBe(
+      null,
+    );
+  });
+
+  test('should let the overlay win per column and keep known versions', () => {
+    const base = setRowVersion(
+      setEdit(setEdit({}, 'a', 'comment', 'old', row), 'a', 'status', 's'),
+      'a',
+      2,
+    );
+    const overlay = setEdit({}, 'a', 'comment', 'new', row);
+
+    expect(mergeEditStores(base, overlay).a).toEqual({
+      row,
+      version: 2,
+      values: { comment: 'new', status: 's' },
+    });
+  });
+
+  test('should re-key entries from their row snapshots', () => {
+    const store = setEdit({}, 'North|Bikes', 'comment', 'ok', row);
+    const rekeyed = rekeyEditStore(store, (r) => r.map((c) => c.qText).join('-'));
+
+    expect(Object.keys(rekeyed)).toEqual(['North-Bikes']);
+    expect(rekeyEditStore(store, () => null)).toEqual(store);
+  });
+});
@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const {
+  generateRowKey,
+  getFallbackKeyColumns,
+  getKeyValueFromRow,
+} = require('../../src/utils/keyDimensionsUtils');
+const { analyzeModelStructure } = require('../../src/utils/saveService');
+
+const layout = {
+  qHyperCube: {
+    qDimensionInfo: [{ qFallbackTitle: 'Region' }, { qFallbackTitle: 'Product' }],
+    qMeasureInfo: [{ qFallbackTitle: 'Sales' }],
+  },
+  writebackConfig: { enabled: true, columns: [] },
+};
+const columns = ['Region', 'Product', 'Sales'];
+const row = [
+  { qText: 'North', qNum: 'NaN' },
+  { qText: 'Bikes', qNum: 'NaN' },
+  { qText: '1,234.50', qNum: 1234.5 },
+];
+
+test.describe('fallback row key', () => {
+  test('should only use dimensions', () => {
+    expect(getFallbackKeyColumns(columns, 2)).toEqual(['Region', 'Product']);
+    expect(getFallbackKeyColumns(['a', 'b', 'c', 'd'], 4)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should not change when a measure changes', () => {
+    const reloaded = [row[0], row[1], { qText: '$1.3k', qNum: 1300 }];
+
+    expect(generateRowKey(row, layout, columns)).toBe('North|Bikes');
+    expect(generateRowKey(reloaded, layout, columns)).toBe('North|Bikes');
+  });
+
+  test('should be the stored key columns', () => {
+    const { keyDimensions } = analyzeModelStructure(layout);
+
+    expect(keyDimensions.map((d) => d.dbColumn)).toEqual(['region', 'product']);
+  });
+});
+
+test.describe('getKeyValueFromRow', () => {
+  test('should use the cell text for measures too', () => {
+    expect(getKeyValueFromRow(row, 2)).toBe('1,234.50');
+    expect(getKeyValueFromRow(row, 5)).toBe(null);
+  });
+});
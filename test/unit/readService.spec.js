@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const { saveWritebackData } = require('../../src/utils/saveService');
+const { loadWritebackRecords, mergeWritebackWithTable } = require('../../src/utils/readService');
+const { setEdit } = require('../../src/utils/editStore');
+const { generateRowKey } = require('../../src/utils/keyDimensionsUtils');
+const { stubLocalStorage, restoreLocalStorage, captureConsole } = require('./support');
+
+function createLayout(rows, keyDimensions = []) {
+  return {
+    qInfo: { qId: 'read-test' },
+    qHyperCube: {
+      qDimensionInfo: [{ qFallbackTitle: 'Region' }],
+      qMeasureInfo: [{ qFallbackTitle: 'Sales' }],
+      qSize: { qcx: 2, qcy: rows.length },
+      qDataPages: [{ qArea: { qTop: 0, qLeft: 0, qWidth: 2 }, qMatrix: rows }],
+    },
+    keyDimensions,
+    writebackConfig: {
+      enabled: true,
+      tableName: 'writeback_data',
+      columns: [{ columnName: 'Comment', columnType: 'text' }],
+    },
+    storage: { adapter: 'local' },
+  };
+}
+
+const row = [{ qText: 'North', qNum: 'NaN' }, { qText: '1,234.50', qNum: 1234.5 }];
+
+// Save one comment for the row, then read it back into a (reloaded) table
+async function roundTrip(saveLayout, loadLayout) {
+  const columns = ['Region', 'Sales'];
+  const rowKey = generateRowKey(row, saveLayout, columns);
+  const edits = setEdit({}, rowKey, 'Comment', 'checked', row);
+  let merged;
+
+  // No authenticated user in node - saves go out under the session name
+  await captureConsole('warn', async () => {
+    const result = await saveWritebackData(edits, saveLayout, null);
+    expect(result.success).toBe(true);
+
+    const records = await loadWritebackRecords(loadLayout, null);
+    merged = mergeWritebackWithTable(records, loadLayout);
+  });
+  return merged;
+}
+
+test.describe('stored records map back to their rows', () => {
+  test.beforeEach(() => {
+    stubLocalStorage();
+  });
+  test.afterEach(restoreLocalStorage);
+
+  test('should match a formatted measure key by its text', async () => {
+    const keyDimensions = [{ dimensionName: 'Sales', isKeyDimension: true }];
+    const layout = createLayout([row], keyDimensions);
+
+    const merged = await roundTrip(layout, layout);
+
+    expect(merged['1,234.50'].values).toEqual({ Comment: 'checked' });
+  });
+
+  test('should keep values when a measure changes on reload', async () => {
+    const reloaded = [row[0], { qText: '$1.3k', qNum: 1300 }];
+
+    const merged = await roundTrip(createLayout([row]), createLayout([reloaded]));
+
+    expect(merged.North.values).toEqual({ Comment: 'checked' });
+  });
+});
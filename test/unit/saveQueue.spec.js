@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const SaveQueue = require('../../src/utils/saveQueue').default;
+const { setEdit, pickRows } = require('../../src/utils/editStore');
+const { stubLocalStorage, restoreLocalStorage, captureConsole } = require('./support');
+
+const STORAGE_KEY = 'qlik_writeback_outbox:app1:obj1';
+
+let batch = setEdit({}, 'North', 'comment', 'saved', [{ qText: 'North' }]);
+batch = setEdit(batch, 'South', 'comment', 'rejected', [{ qText: 'South' }]);
+batch = setEdit(batch, 'East', 'comment', 'mine', [{ qText: 'East' }]);
+
+const result = {
+  success: false,
+  message: 'Saved 1 of 3 records',
+  results: [
+    { primaryKey: 'North', success: true, version: 2 },
+    { primaryKey: 'South', success: false, error: 'value too long' },
+    {
+      primaryKey: 'East',
+      success: false,
+      conflict: true,
+      currentVersion: 5,
+    },
+  ],
+  conflicts: [{ primaryKey: 'East', conflict: true, currentVersion: 5 }],
+};
+
+// Replay the persisted batches and wait until the queue is idle
+async function replay(queue) {
+  queue.start();
+  await expect.poll(() => queue.isProcessing).toBe(false);
+}
+
+function persistedBatch() {
+  return JSON.stringify([{
+    id: 'batch_1',
+    editStore: batch,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    attempts: 0,
+    status: 'queued',
+    lastError: null,
+    nextAttemptAt: Date.now() + 60000,
+  }]);
+}
+
+test.describe('SaveQueue', () => {
+  test.afterEach(restoreLocalStorage);
+
+  test('should hand failed and conflicting records of a replay to the settled listener', async () => {
+    const items = stubLocalStorage({ [STORAGE_KEY]: persistedBatch() });
+    const queue = new SaveQueue('app1', 'obj1', async () => result);
+    let pending = {};
+    let conflicts = [];
+
+    queue.addEventListener('settled', async ({ entry, result: settled }) => {
+      const failed = settled.results
+        .filter((r) => !r.success && !r.conflict)
+        .map((r) => r.primaryKey);
+      pending = pickRows(entry.editStore, failed);
+      conflicts = settled.conflicts.map((r) => r.primaryKey);
+    });
+
+    await replay(queue);
+    queue.stop();
+
+    expect(Object.keys(pending)).toEqual(['South']);
+    expect(pending.South.values).toEqual({ comment: 'rejected' });
+    expect(conflicts).toEqual(['East']);
+    expect(queue.getState().total).toBe(0);
+    expect(items.has(STORAGE_KEY)).toBe(false);
+  });
+
+  test('should keep the batch when the settled listener fails', async () => {
+    const items = stubLocalStorage({ [STORAGE_KEY]: persistedBatch() });
+    const queue = new SaveQueue('app1', 'obj1', async () => result);
+
+    queue.addEventListener('settled', async () => {
+      throw new Error('not rendered yet');
+    });
+
+    const errors = await captureConsole('error', () => replay(queue));
+    queue.stop();
+
+    expect(errors).toEqual([
+      '[writeback:save] Could not apply the result of a queued save not rendered yet',
+    ]);
+    const [entry] = queue.getState().entries;
+    expect(entry.status).toBe('failed');
+    expect(entry.lastError).toBe('not rendered yet');
+    expect(entry.editStore).toEqual(batch);
+    expect(JSON.parse(items.get(STORAGE_KEY))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+const { buildSortPatches, sortRowsByValue } = require('../../src/utils/sortUtils');
+
+const layout = {
+  qHyperCube: {
+    qDimensionInfo: [{}, {}],
+    qMeasureInfo: [{}],
+    qEffectiveInterColumnSortOrder: [0, 1, 2],
+  },
+};
+
+test.describe('buildSortPatches', () => {
+  test('should sort a dimension by its sort criterias', () => {
+    const [sortPatch, orderPatch] = buildSortPatches(layout, 1, false);
+
+    expect(sortPatch.qPath).toBe('/qHyperCubeDef/qDimensions/1/qDef/qSortCriterias');
+    expect(JSON.parse(sortPatch.qValue)[0].qSortByNumeric).toBe(-1);
+    expect(JSON.parse(orderPatch.qValue)).toEqual([1, 0, 2]);
+  });
+
+  test('should sort a measure by its own index', () => {
+    const [sortPatch, orderPatch] = buildSortPatches(layout, 2, true);
+
+    expect(sortPatch.qPath).toBe('/qHyperCubeDef/qMeasures/0/qSortBy');
+    expect(JSON.parse(sortPatch.qValue)).toEqual({ qSortByNumeric: 1 });
+    expect(JSON.parse(orderPatch.qValue)).toEqual([2, 0, 1]);
+  });
+});
+
+test.describe('sortRowsByValue', () => {
+  const rows = ['10', '', '9', 'b', null, 'a'];
+
+  test('should compare numbers numerically and keep empties last', () => {
+    expect(sortRowsByValue(rows, (row) => row)).toEqual(['9', '10', 'a', 'b', '', null]);
+  });
+
+  test('should keep empties last when descending', () => {
+    expect(sortRowsByValue(rows, (row) => row, false)).toEqual(['b', 'a', '10', '9', '', null]);
+  });
+});
@@ -0,0 +1,181 @@
+const { test, expect } = require('@playwright/test');
+const {
+  SQL_DIALECTS,
+  getSqlDialect,
+  getSqlDialectByName,
+  quoteIdentifier,
+  formatParameterValue,
+  buildUpsertStatement,
+  buildInsertStatement,
+  buildCreateTableStatement,
+} = require('../../src/utils/sqlDialects');
+const { captureConsole } = require('./support');
+
+const spec = {
+  tableName: 'sales.writeback_data',
+  columns: ['region', 'product', 'comment', 'modified_by', 'version'],
+  keyColumns: ['region', 'product'],
+  updateColumns: ['version', 'comment', 'modified_by'],
+};
+
+// Placeholders in order of appearance
+function getPlaceholders(sql) {
+  return sql.match(/\$\d+|@p\d+|\?/g) || [];
+}
+
+test.describe('getSqlDialect', () => {
+  test('should default to PostgreSQL', async () => {
+    expect(getSqlDialect({}).name).toBe(SQL_DIALECTS.POSTGRES);
+
+    let dialect;
+    const warnings = await captureConsole('warn', () => {
+      dialect = getSqlDialectByName('oracle');
+    });
+    expect(dialect.name).toBe(SQL_DIALECTS.POSTGRES);
+    expect(warnings).toEqual(['[writeback:save] Unknown SQL dialect "oracle", using PostgreSQL']);
+  });
+
+  test('should read the configured dialect', () => {
+    const layout = { writebackConfig: { sqlDialect: 'mysql' } };
+    expect(getSqlDialect(layout).name).toBe(SQL_DIALECTS.MYSQL);
+  });
+});
+
+test.describe('quoteIdentifier', () => {
+  test('should quote schema-qualified names part by part', () => {
+    const quote = (name, id) => quoteIdentifier(getSqlDialectByName(name), id);
+    expect(quote('postgres', 'sales.data')).toBe('"sales"."data"');
+    expect(quote('sqlserver', 'sales.data')).toBe('[sales].[data]');
+    expect(quote('mysql', 'sales.data')).toBe('`sales`.`data`');
+  });
+});
+
+test.describe('buildUpsertStatement', () => {
+  Object.values(SQL_DIALECTS).forEach((name) => {
+    test(`${name}: should bind each column and the expected version`, () => {
+      const sql = buildUpsertStatement(getSqlDialectByName(name), spec);
+      const placeholders = getPlaceholders(sql);
+
+      expect(placeholders).toHaveLength(spec.columns.length + 1);
+      if (name === SQL_DIALECTS.POSTGRES) {
+        expect(placeholders).toEqual(['$1', '$2', '$3', '$4', '$5', '$6']);
+      }
+      if (name === SQL_DIALECTS.SQLSERVER) {
+        expect(placeholders[5]).toBe('@p6');
+      }
+    });
+  });
+
+  test('postgres: should only update while the stored version matches', () => {
+    const sql = buildUpsertStatement(getSqlDialectByName('postgres'), spec);
+
+    expect(sql).toContain('INSERT INTO "sales"."writeback_data" AS target');
+    expect(sql).toContain('ON CONFLICT ("region", "product")');
+    expect(sql).toContain('"comment" = EXCLUDED."comment"');
+    expect(sql).toContain('WHERE target."version" IS NOT DISTINCT FROM $6');
+    expect(sql).not.toContain('"region" = EXCLUDED');
+  });
+
+  test('snowflake: should merge on the key columns with a version check', () => {
+    const sql = buildUpsertStatement(getSqlDialectByName('snowflake'), spec);
+
+    expect(sql).toContain('MERGE INTO "sales"."writeback_data" AS target');
+    expect(sql).toContain(
+      'ON target."region" = source."region" AND target."product" = source."product"',
+    );
+    expect(sql).toContain(
+      'WHEN MATCHED AND target."version" IS NOT DISTINCT FROM source."expected_version"',
+    );
+    expect(sql).toContain('? AS "expected_version"');
+  });
+
+  test('sqlserver: should lock the key range and spell out the null check', () => {
+    const sql = buildUpsertStatement(getSqlDialectByName('sqlserver'), spec);
+
+    expect(sql).toContain('MERGE INTO [sales].[writeback_data] WITH (HOLDLOCK)');
+    expect(sql).toContain(
+      'WHEN MATCHED AND (target.[version] = source.[expected_version] OR '
+        + '(target.[version] IS NULL AND source.[expected_version] IS NULL))',
+    );
+    expect(sql).toContain('OUTPUT inserted.[version]');
+  });
+
+  test('mysql: should guard every column and assign version last', () => {
+    const sql = buildUpsertStatement(getSqlDialectByName('mysql'), spec);
+    const updates = sql
+      .split('ON DUPLICATE KEY UPDATE')[1]
+      .split(',\n')
+      .map((update) => update.trim());
+
+    expect(updates).toHaveLength(spec.updateColumns.length);
+    updates.forEach((update) => {
+      expect(update).toContain(
+        'IF(`sales`.`writeback_data`.`version` <=> source.`expected_version`',
+      );
+    });
+    expect(updates[updates.length - 1]).toMatch(/^`version` = /);
+  });
+
+  test('should refuse a table without key columns', () => {
+    const dialect = getSqlDialectByName('postgres');
+    const build = () => buildUpsertStatement(dialect, { ...spec, keyColumns: [] });
+    expect(build).toThrow('No key columns detected');
+  });
+});
+
+test.describe('buildInsertStatement', () => {
+  test('should insert every column with numbered placeholders', () => {
+    const sql = buildInsertStatement(
+      getSqlDialectByName('sqlserver'),
+      'changes',
+      ['row_key', 'new_value'],
+    );
+
+    expect(sql).toContain('INSERT INTO [changes]');
+    expect(getPlaceholders(sql)).toEqual(['@p1', '@p2']);
+  });
+});
+
+test.describe('buildCreateTableStatement', () => {
+  test('should size text key columns for the unique index', () => {
+    const sql = buildCreateTableStatement(getSqlDialectByName('mysql'), {
+      tableName: 'writeback_data',
+      columns: [
+        { name: 'region', type: 'text', nullable: false },
+        { name: 'comment', type: 'text', nullable: true },
+        { name: 'modified_at', type: 'timestamp', nullable: true },
+      ],
+      uniqueKey: ['region'],
+    });
+
+    expect(sql).toContain('`region` VARCHAR(255) NOT NULL');
+    expect(sql).toContain('`comment` TEXT,');
+    expect(sql).toContain('`modified_at` DATETIME(3)');
+    expect(sql).toContain('CONSTRAINT `writeback_data_key` UNIQUE (`region`)');
+  });
+});
+
+test.describe('formatParameterValue', () => {
+  const timestamp = '2026-10-19T16:07:54.123Z';
+  const format = (name, type, value) => formatParameterValue(
+    getSqlDialectByName(name),
+    type,
+    value,
+  );
+
+  test('should write timestamps the way each column type accepts them', () => {
+    expect(format('postgres', 'timestamp', timestamp)).toBe(timestamp);
+    expect(format('snowflake', 'timestamp', timestamp)).toBe(timestamp);
+    expect(format('sqlserver', 'timestamp', timestamp)).toBe(
+      '2026-10-19 16:07:54.123 +00:00',
+    );
+    expect(format('mysql', 'timestamp', timestamp)).toBe(
+      '2026-10-19 16:07:54.123',
+    );
+  });
+
+  test('should leave other values and nulls alone', () => {
+    expect(format('mysql', 'text', timestamp)).toBe(timestamp);
+    expect(format('mysql', 'timestamp', null)).toBe(null);
+  });
+});
@@ -0,0 +1,52 @@
+const { test, expect } = require('@playwright/test');
+const { createRestAdapter } = require('../../src/utils/storageAdapters');
+
+// A Qlik app with the token variable set
+const app = {
+  getVariableByName: async () => ({ getLayout: async () => ({ qText: 'secret-token' }) }),
+};
+
+// Record the fetch calls the adapter makes
+function stubFetch() {
+  const calls = [];
+  global.fetch = async (url, options) => {
+    calls.push({ url, options });
+    return { ok: true, status: 200 };
+  };
+  return calls;
+}
+
+test.describe('createRestAdapter', () => {
+  test.afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should not send cookies with a bearer token', async () => {
+    const calls = stubFetch();
+    const adapter = createRestAdapter(
+      { restUrl: 'https://api.example.com' },
+      { authMode: 'bearer', tokenVariable: 'vToken' },
+      app,
+    );
+
+    await adapter.testConnection();
+
+    expect(calls[0].url).toBe('https://api.example.com/health');
+    expect(calls[0].options.headers.Authorization).toBe('Bearer secret-token');
+    expect(calls[0].options.credentials).toBeUndefined();
+  });
+
+  test('should send cookies in session mode', async () => {
+    const calls = stubFetch();
+    const adapter = createRestAdapter(
+      { restUrl: 'https://api.example.com' },
+      { authMode: 'session' },
+      app,
+    );
+
+    await adapter.testConnection();
+
+    expect(calls[0].options.credentials).toBe('include');
+    expect(calls[0].options.headers.Authorization).toBeUndefined();
+  });
+});
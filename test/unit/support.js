@@ -0,0 +1,33 @@
+// Shared stubs for the unit tests
+
+// The local adapter and the save queue persist to localStorage, which node
+// does not have. A fresh stub per test keeps tests independent.
+function stubLocalStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  global.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+  return items;
+}
+
+function restoreLocalStorage() {
+  delete global.localStorage;
+}
+
+// Collect the lines a console method prints while run() executes, so
+// expected warnings are asserted instead of cluttering the test output
+async function captureConsole(method, run) {
+  const original = console[method];
+  const lines = [];
+  console[method] = (...args) => lines.push(args.join(' '));
+  try {
+    await run();
+  } finally {
+    console[method] = original;
+  }
+  return lines;
+}
+
+module.exports = { stubLocalStorage, restoreLocalStorage, captureConsole };
@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const { checkSchemaDrift, formatSchemaDrift } = require('../../src/utils/tableSchema');
+const { getExpectedTableSchema } = require('../../src/utils/saveService');
+const { getStorageAdapter } = require('../../src/utils/storageAdapters');
+const { stubLocalStorage, restoreLocalStorage, captureConsole } = require('./support');
+
+const layout = {
+  qInfo: { qId: 'schema-test' },
+  qHyperCube: {
+    qDimensionInfo: [{ qFallbackTitle: 'Region' }, { qFallbackTitle: 'Product' }],
+    qMeasureInfo: [],
+    qDataPages: [],
+    qSize: { qcx: 2, qcy: 0 },
+  },
+  keyDimensions: [],
+  writebackConfig: {
+    enabled: true,
+    tableName: 'writeback_data',
+    columns: [{ columnName: 'Comment', columnType: 'text' }],
+  },
+  storage: { adapter: 'local' },
+};
+
+const expectedColumns = getExpectedTableSchema(layout).table.columns.map(
+  (column) => column.name,
+);
+
+// The local adapter reports the columns of the records saved for an app
+async function storeColumns(appId, columns) {
+  const row = {};
+  columns.forEach((column) => {
+    row[column] = 'x';
+  });
+  await getStorageAdapter(layout).save({
+    app_id: appId,
+    rows: [row],
+    records: [{ expected_version: null }],
+    model_info: { key_columns: [] },
+  });
+}
+
+test.describe('checkSchemaDrift', () => {
+  // A fresh local store per test, so no test sees another's records
+  test.beforeEach(() => {
+    stubLocalStorage();
+  });
+  test.afterEach(restoreLocalStorage);
+
+  test('should match columns regardless of case', async () => {
+    await storeColumns('app-ok', expectedColumns.map((c) => c.toUpperCase()));
+    const result = await checkSchemaDrift(layout, { id: 'app-ok' });
+
+    expect(result.status).toBe('ok');
+    expect(formatSchemaDrift(result)).toBe('Table columns match');
+  });
+
+  test('should report missing and renamed columns', async () => {
+    await storeColumns('app-drift', [
+      ...expectedColumns.filter((c) => c !== 'comment' && c !== 'session_id'),
+      'commnet', // typo, within two edits
+      'app-id', // only separators differ from app_id
+      'notes', // unrelated column
+    ].filter((c) => c !== 'app_id'));
+    let result;
+    const warnings = await captureConsole('warn', async () => {
+      result = await checkSchemaDrift(layout, { id: 'app-drift' });
+    });
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('Writeback table writeback_data does not match');
+    expect(result.status).toBe('drift');
+    expect(result.missing).toEqual(['session_id']);
+    expect(result.renamed).toEqual([
+      { expected: 'comment', actual: 'commnet' },
+      { expected: 'app_id', actual: 'app-id' },
+    ]);
+    expect(result.unexpected).toEqual(['notes']);
+  });
+
+  test('should not guess when the table reports no columns', async () => {
+    const result = await checkSchemaDrift(layout, { id: 'app-empty' });
+
+    expect(result.status).toBe('unknown');
+  });
+});
@@ -0,0 +1,68 @@
+const { test, expect } = require('@playwright/test');
+const {
+  parseTimestamp,
+  compareTimestamps,
+  fromDateTimeLocal,
+  isValidTimeZone,
+} = require('../../src/utils/timeUtils');
+
+const iso = (value) => parseTimestamp(value).toISOString();
+
+test.describe('parseTimestamp', () => {
+  test('should read ISO-8601 timestamps', () => {
+    expect(iso('2024-03-10T14:05:00.000Z')).toBe('2024-03-10T14:05:00.000Z');
+    expect(iso('2024-03-10T10:05:00-04:00')).toBe('2024-03-10T14:05:00.000Z');
+  });
+
+  test('should read legacy wall-clock strings as New York time', () => {
+    // Standard time before the DST change, daylight time after it
+    expect(iso('2024-03-10 01:05:00')).toBe('2024-03-10T06:05:00.000Z');
+    expect(iso('2024-03-10 09:05:00')).toBe('2024-03-10T13:05:00.000Z');
+  });
+
+  test('should read MySQL DATETIME(3) values as UTC', () => {
+    expect(iso('2026-10-19 16:07:54.123')).toBe('2026-10-19T16:07:54.123Z');
+  });
+
+  test('should return null for unreadable values', () => {
+    expect(parseTimestamp('')).toBe(null);
+    expect(parseTimestamp('yesterday-ish')).toBe(null);
+    expect(parseTimestamp(new Date('invalid'))).toBe(null);
+  });
+});
+
+test.describe('compareTimestamps', () => {
+  test('should order legacy and UTC timestamps by instant', () => {
+    const values = [
+      '2024-03-10T14:00:00.000Z',
+      '2024-03-10 09:05:00', // 13:05 UTC
+      '2024-03-10 13:30:00.000', // MySQL, 13:30 UTC
+    ];
+
+    expect([...values].sort(compareTimestamps)).toEqual([
+      values[1],
+      values[2],
+      values[0],
+    ]);
+  });
+});
+
+test.describe('fromDateTimeLocal', () => {
+  test('should include the whole picked minute', () => {
+    expect(fromDateTimeLocal('2024-07-01T12:30', 'UTC')).toBe(
+      '2024-07-01T12:30:59.999Z',
+    );
+    expect(fromDateTimeLocal('2024-07-01T12:30', 'Europe/Berlin')).toBe(
+      '2024-07-01T10:30:59.999Z',
+    );
+    expect(fromDateTimeLocal('', 'UTC')).toBe(null);
+  });
+});
+
+test.describe('isValidTimeZone', () => {
+  test('should accept IANA zones only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
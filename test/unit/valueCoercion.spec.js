@@ -0,0 +1,83 @@
+const { test, expect } = require('@playwright/test');
+const {
+  coerceValue,
+  coerceStoredValue,
+  getParameterTypeForColumn,
+} = require('../../src/utils/valueCoercion');
+
+test.describe('coerceValue', () => {
+  test('should treat empty values as null for every type', () => {
+    ['text', 'number', 'checkbox', 'date'].forEach((type) => {
+      expect(coerceValue('', type)).toEqual({ ok: true, value: null });
+      expect(coerceValue('  ', type)).toEqual({ ok: true, value: null });
+      expect(coerceValue(null, type)).toEqual({ ok: true, value: null });
+      expect(coerceValue(undefined, type)).toEqual({ ok: true, value: null });
+    });
+  });
+
+  test('should coerce numbers', () => {
+    expect(coerceValue('42', 'number')).toEqual({ ok: true, value: 42 });
+    expect(coerceValue(' -1.5 ', 'number')).toEqual({ ok: true, value: -1.5 });
+    expect(coerceValue('1e3', 'number')).toEqual({ ok: true, value: 1000 });
+    expect(coerceValue(0, 'number')).toEqual({ ok: true, value: 0 });
+  });
+
+  test('should reject text and non-finite numbers', () => {
+    expect(coerceValue('12abc', 'number').ok).toBe(false);
+    expect(coerceValue('1,5', 'number').ok).toBe(false);
+    expect(coerceValue(Infinity, 'number').ok).toBe(false);
+    expect(coerceValue(NaN, 'number').ok).toBe(false);
+  });
+
+  test('should coerce checkbox values to booleans', () => {
+    expect(coerceValue(true, 'checkbox')).toEqual({ ok: true, value: true });
+    expect(coerceValue('Yes', 'checkbox')).toEqual({ ok: true, value: true });
+    expect(coerceValue(0, 'checkbox')).toEqual({ ok: true, value: false });
+    expect(coerceValue('off', 'checkbox')).toEqual({ ok: true, value: false });
+    expect(coerceValue('maybe', 'checkbox').ok).toBe(false);
+  });
+
+  test('should keep ISO dates and reject dates that roll over', () => {
+    expect(coerceValue('2024-02-29', 'date')).toEqual({
+      ok: true,
+      value: '2024-02-29',
+    });
+    expect(coerceValue('2024-03-10T14:05:00Z', 'date')).toEqual({
+      ok: true,
+      value: '2024-03-10',
+    });
+    expect(coerceValue('2023-02-29', 'date').ok).toBe(false);
+    expect(coerceValue('2024-13-01', 'date').ok).toBe(false);
+    expect(coerceValue('not a date', 'date').ok).toBe(false);
+  });
+
+  test('should format Date objects as local dates', () => {
+    expect(coerceValue(new Date(2024, 0, 5), 'date')).toEqual({
+      ok: true,
+      value: '2024-01-05',
+    });
+    expect(coerceValue(new Date('invalid'), 'date').ok).toBe(false);
+  });
+
+  test('should keep text as strings', () => {
+    expect(coerceValue(12, 'text')).toEqual({ ok: true, value: '12' });
+    expect(coerceValue('abc', 'dropdown')).toEqual({ ok: true, value: 'abc' });
+  });
+});
+
+test.describe('coerceStoredValue', () => {
+  test('should keep stored values that do not fit the type', () => {
+    expect(coerceStoredValue('12', 'number')).toBe(12);
+    expect(coerceStoredValue('n/a', 'number')).toBe('n/a');
+  });
+});
+
+test.describe('getParameterTypeForColumn', () => {
+  test('should map input types to parameter types', () => {
+    expect(getParameterTypeForColumn('number')).toBe('numeric');
+    expect(getParameterTypeForColumn('checkbox')).toBe('boolean');
+    expect(getParameterTypeForColumn('date')).toBe('date');
+    expect(getParameterTypeForColumn('textarea')).toBe('text');
+    expect(getParameterTypeForColumn(undefined)).toBe('text');
+  });
+});